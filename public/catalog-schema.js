@@ -0,0 +1,393 @@
+// catalog-schema.js - Column schema shared by tools/build-data.mjs and the SPA
+// ============================================================================
+//
+// Each column declares:
+//   header      - canonical sheet header (used in docs and warnings)
+//   aliases     - other headers accepted for the same column; matching ignores
+//                 case, spaces, dashes and underscores ("TOP ORDER" = "topOrder")
+//   type        - string | int | number | percent | hex | url | enum | path | list | bool | date
+//   default     - value used when the cell is empty or invalid
+//   pattern     - RegExp the value must match (url/string columns)
+//   values      - allowed values (enum columns)
+//   hint        - what a valid value looks like, shown in warnings
+//   description - one line for the generated CSV Column Reference
+//
+// The build reads sheet rows through readColumn(); the SPA reads built nodes
+// through readField(), which accepts the same aliases as property names.
+
+export const HEX_COLOR = /^#([0-9a-fA-F]{6})$/;
+export const WHATSAPP_URL = /^https:\/\/wa\.me\/\d+$/;
+export const GDRIVE_URL = /^https:\/\/drive\.google\.com\//;
+export const CURRENCY_CODE = /^[A-Za-z]{3}$/;
+// 2026-11-01, 2026-11-01 09:00 or 2026-11-01T09:00:00+05:00 (no zone = UTC)
+export const DATE_TIME = /^(\d{4}-\d{2}-\d{2})(?:[T ]((?:[01]\d|2[0-3]):[0-5]\d(?::[0-5]\d)?))?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+export const BRAND_COLUMNS = {
+  slug: {
+    header: 'csvslug', aliases: ['slug'], type: 'string', required: true,
+    description: 'Brand identifier (used in ?brand=)'
+  },
+  name: {
+    header: 'brandName', aliases: ['name', 'Brand Name'], type: 'string', required: true,
+    description: 'Display name'
+  },
+  tagline: {
+    header: 'tagline', aliases: ['brandTagline', 'Brand Tagline'], type: 'string',
+    description: 'Subtitle under brand name'
+  },
+  heroTitle: {
+    header: 'heroTitle', aliases: ['hero_title', 'Hero Title'], type: 'string',
+    description: 'Main homepage title'
+  },
+  heroSubtitle: {
+    header: 'heroSubtitle', aliases: ['hero_subtitle', 'Hero Subtitle'], type: 'string',
+    description: 'Homepage description'
+  },
+  footerText: {
+    header: 'footerText', aliases: ['footer_text'], type: 'string',
+    description: 'Footer description'
+  },
+  primaryColor: {
+    header: 'primaryColor', aliases: ['primary_color', 'Primary Color'], type: 'hex', default: '#6366f1',
+    description: 'Main brand color (#hex)'
+  },
+  accentColor: {
+    header: 'accentColor', aliases: ['accent_color', 'Accent Color'], type: 'hex', default: '#8b5cf6',
+    description: 'Secondary color (#hex)'
+  },
+  textColor: {
+    header: 'textColor', aliases: ['text_color', 'Text Color'], type: 'hex', default: '#202124',
+    description: 'Body text color (#hex)'
+  },
+  bgColor: {
+    header: 'bgColor', aliases: ['bg_color', 'Background Color'], type: 'hex', default: '#ffffff',
+    description: 'Page background color (#hex)'
+  },
+  whatsapp: {
+    header: 'whatsapp', aliases: ['whatsappUrl', 'WhatsApp'], type: 'url', pattern: WHATSAPP_URL,
+    hint: 'expected https://wa.me/<number>',
+    description: 'WhatsApp link (wa.me format)'
+  },
+  defaultCategory: {
+    header: 'defaultCategory', aliases: ['default_category'], type: 'string', default: 'BAGS',
+    description: 'Category opened by default'
+  },
+  categories: {
+    header: 'categories', aliases: ['catalogScope', 'Catalog Scope', 'scope'], type: 'string',
+    description: 'Categories or subtrees this storefront shows, separated by ; (e.g. BAGS; SHOES/Gucci). Empty = whole catalog'
+  },
+  markup: {
+    header: 'markup', aliases: ['Markup %', 'margin'], type: 'percent',
+    description: 'Percent added to the master Price (e.g. 35%). Empty = prices hidden'
+  },
+  currency: {
+    header: 'currency', type: 'string', pattern: CURRENCY_CODE, default: 'USD',
+    hint: 'expected a 3-letter ISO code such as PKR or USD',
+    description: 'Currency prices are shown in'
+  },
+  rounding: {
+    header: 'rounding', aliases: ['Round To', 'priceRounding'], type: 'number',
+    description: 'Round selling prices up to a multiple of this (e.g. 100). Empty = 2 decimals'
+  }
+};
+
+export const NODE_ID = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+export const SKU_CODE = /^[A-Za-z0-9][A-Za-z0-9._\/-]*$/;
+export const DIMENSIONS = /^\d+(\.\d+)?(\s*[x×]\s*\d+(\.\d+)?){0,2}\s*(mm|cm|m|in|inch|inches|")?$/i;
+export const CONDITIONS = ['New', 'Like New', 'Excellent', 'Very Good', 'Good', 'Fair'];
+// Stock statuses; Available is the default and is not stored on nodes, and
+// Hidden rows never reach data.json
+export const STOCK_STATUSES = ['Available', 'Sold Out', 'On Request', 'Reserved', 'Hidden'];
+
+export const MASTER_COLUMNS = {
+  id: {
+    header: 'ID', aliases: ['Node ID', 'Product ID'], type: 'string', pattern: NODE_ID,
+    hint: 'expected letters, digits, - and _',
+    description: 'Identifier kept in links when the item is renamed or moved; when empty it is derived from the path and changes with it'
+  },
+  name: {
+    header: 'Name', aliases: ['Folder/Product'], type: 'string', required: true,
+    description: 'Item/category name'
+  },
+  relativePath: {
+    header: 'RelativePath', aliases: ['Relative Path', 'Relative_Path'], type: 'path', required: true,
+    description: 'Catalog path'
+  },
+  section: {
+    header: 'Section', type: 'string', default: 'Featured',
+    description: 'Homepage section (Featured/Trending/Premium/etc)'
+  },
+  topOrder: {
+    header: 'TopOrder', aliases: ['Top Order', 'Order', 'Priority', 'Rank', 'Sort', 'Position'], type: 'int', default: 999,
+    description: 'Sort order within its folder or section (lower = first)'
+  },
+  category: {
+    header: 'Category', type: 'string',
+    description: 'Additional categorization'
+  },
+  thumbnail: {
+    header: 'Thumbs Path', aliases: ['Thumb'], type: 'path',
+    description: 'Thumbnail image path (empty = first image in the matching thumbs/ folder)'
+  },
+  sku: {
+    header: 'SKU', aliases: ['Item Code', 'Article'], type: 'string', pattern: SKU_CODE,
+    hint: 'expected letters, digits and . _ / -',
+    description: 'Stock-keeping code shown on the product'
+  },
+  material: {
+    header: 'Material', aliases: ['Materials', 'Fabric'], type: 'string',
+    description: 'Main material (e.g. Togo leather)'
+  },
+  colors: {
+    header: 'Colors', aliases: ['Colours', 'Colorways', 'Colour', 'Color'], type: 'list',
+    description: 'Available colorways, separated by , or ;'
+  },
+  sizes: {
+    header: 'Sizes', aliases: ['Size'], type: 'list',
+    description: 'Available sizes, separated by , or ;'
+  },
+  condition: {
+    header: 'Condition', type: 'enum', values: CONDITIONS,
+    description: 'Item condition'
+  },
+  dimensions: {
+    header: 'Dimensions', aliases: ['Measurements', 'Size (cm)'], type: 'string', pattern: DIMENSIONS,
+    hint: 'expected 25 x 20 x 13 cm',
+    description: 'Width x height x depth with a unit'
+  },
+  description: {
+    header: 'Description', aliases: ['Details', 'Notes'], type: 'string',
+    description: 'Free text shown on the product card'
+  },
+  status: {
+    header: 'Status', aliases: ['Stock', 'Stock Status', 'Availability'], type: 'enum', values: STOCK_STATUSES, default: 'Available',
+    description: 'Badge on the product card; Sold Out adds a "notify me" WhatsApp action, Hidden leaves the row (and everything under a folder) out of the build'
+  },
+  price: {
+    header: 'Price', aliases: ['Base Price', 'Cost'], type: 'number',
+    description: 'Base price before each brand\'s markup (never published)'
+  },
+  driveLink: {
+    header: 'Drive Link', aliases: ['Drive'], type: 'url', pattern: GDRIVE_URL,
+    hint: 'expected a https://drive.google.com/ link',
+    description: 'Google Drive share link for products (file, folder or open?id= link; stored in canonical form)'
+  },
+  alignment: {
+    header: 'Alignment', aliases: ['Image Alignment'], type: 'string',
+    description: 'Image position (center/top/50px 30px/crop-top/etc) - supports pixels'
+  },
+  fitting: {
+    header: 'Fitting', aliases: ['Object Fit', 'Image Fit'], type: 'string',
+    description: 'Image fit method (fit/fill/contain/cover/scale-down/natural)'
+  },
+  scaling: {
+    header: 'Scaling', aliases: ['Image Scale', 'Scale'], type: 'string', pattern: /^\d+(\.\d+)?(%|px)?$/,
+    hint: 'expected 120%, 300px or 1.2',
+    description: 'Image scale (120%/300px/1.2)'
+  },
+  publishFrom: {
+    header: 'PublishFrom', aliases: ['Go Live', 'Live From', 'Launch'], type: 'date',
+    description: 'Left out of builds before this date/time (2026-11-01 or 2026-11-01 09:00+05:00; no zone = UTC). Applies to everything under a folder'
+  },
+  publishUntil: {
+    header: 'PublishUntil', aliases: ['Live Until', 'Expires', 'Expiry'], type: 'date',
+    description: 'Left out of builds from this date/time on. Empty = no end'
+  }
+};
+
+// Homepage sections in the order shown when a brand has no sections config;
+// sections not listed here follow in catalog order
+export const DEFAULT_SECTIONS = ['Featured', 'Best Sellers', 'Premium', 'New Arrivals', 'Trending'];
+// What a section shows: top-level categories with its Section value, or
+// every product / every node at any depth with it
+export const SECTION_ITEMS = ['Categories', 'Products', 'All'];
+
+/**
+ * Section names in default homepage order: DEFAULT_SECTIONS first, then the
+ * others as given.
+ * @param {string[]} names - Section values in catalog order
+ * @returns {string[]}
+ */
+export function orderSections(names) {
+  return [
+    ...DEFAULT_SECTIONS.filter((name) => names.includes(name)),
+    ...names.filter((name) => !DEFAULT_SECTIONS.includes(name))
+  ];
+}
+
+// Optional sections sheet: one row per brand × section. A row with an empty
+// brand (or *) applies to every brand without its own row for that section.
+export const SECTION_COLUMNS = {
+  brand: {
+    header: 'brand', aliases: ['csvslug', 'slug'], type: 'string',
+    description: 'Brand slug from the brands CSV; empty or * = every brand'
+  },
+  section: {
+    header: 'Section', type: 'string', required: true,
+    description: 'Value of the master CSV Section column this homepage section shows'
+  },
+  title: {
+    header: 'Title', aliases: ['Heading'], type: 'string',
+    description: 'Heading shown above the section (default: the section name; Featured has none)'
+  },
+  subtitle: {
+    header: 'Subtitle', aliases: ['Description', 'Section Description'], type: 'string',
+    description: 'Line under the heading (default: "Explore our … collection")'
+  },
+  order: {
+    header: 'Order', aliases: ['Position', 'Sort'], type: 'int', default: 999,
+    description: 'Position on the homepage (lower first; ties keep sheet order)'
+  },
+  visible: {
+    header: 'Visible', aliases: ['Show', 'Enabled'], type: 'bool', default: true,
+    description: 'no/false/0 hides the section for the brand'
+  },
+  items: {
+    header: 'Items', aliases: ['Depth', 'Source'], type: 'enum', values: SECTION_ITEMS, default: 'Categories',
+    description: 'Categories = top-level categories with this Section, Products = products at any depth, All = any node at any depth'
+  },
+  limit: {
+    header: 'Limit', aliases: ['Max Items'], type: 'int',
+    description: 'Show at most this many items (Products/All sections). Empty = all'
+  }
+};
+
+const normalizeHeader = (h) => String(h).toLowerCase().replace(/[\s_\-]+/g, '');
+
+/**
+ * Names a column may appear under, canonical header first.
+ * @param {object} column - Column definition
+ * @returns {string[]}
+ */
+export function columnNames(column) {
+  return [column.header, ...(column.aliases || [])];
+}
+
+/**
+ * Find the key of `obj` that holds a column, ignoring case/spacing.
+ * Prefers a key with a non-empty value when several aliases are present.
+ * @param {object} obj - Sheet row or catalog node
+ * @param {object} column - Column definition
+ * @param {string[]} [extraNames] - Additional exact names to accept (e.g. node keys)
+ * @returns {string|undefined}
+ */
+export function findKey(obj, column, extraNames = []) {
+  if (!obj) return undefined;
+  const wanted = new Set([...extraNames, ...columnNames(column)].map(normalizeHeader));
+  const keys = Object.keys(obj).filter((k) => wanted.has(normalizeHeader(k)));
+  return keys.find((k) => obj[k] !== undefined && obj[k] !== null && String(obj[k]).trim() !== '') || keys[0];
+}
+
+/**
+ * Validate and convert a raw cell value for a column.
+ * @param {object} column - Column definition
+ * @param {*} raw - Raw value
+ * @returns {{ value: *, error: string|null }} value falls back to the column default
+ */
+export function coerceValue(column, raw) {
+  const text = raw === undefined || raw === null ? '' : String(raw).trim();
+  const fallback = column.default !== undefined ? column.default : column.type === 'list' ? [] : '';
+  if (text === '') return { value: fallback, error: null };
+
+  switch (column.type) {
+    case 'list':
+      return { value: text.split(/\s*[,;|]\s*/).filter(Boolean), error: null };
+    case 'int': {
+      if (!/^-?\d+$/.test(text)) return { value: fallback, error: `not a whole number` };
+      return { value: parseInt(text, 10), error: null };
+    }
+    case 'number':
+    case 'percent': {
+      // Thousands separators and a trailing % (percent columns) are accepted
+      let cleaned = text.replace(/[,\s]/g, '');
+      if (column.type === 'percent') cleaned = cleaned.replace(/%$/, '');
+      if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return { value: fallback, error: column.type === 'percent' ? 'not a percentage' : 'not a number' };
+      return { value: parseFloat(cleaned), error: null };
+    }
+    case 'bool':
+      if (/^(1|true|yes|y|on)$/i.test(text)) return { value: true, error: null };
+      if (/^(0|false|no|n|off)$/i.test(text)) return { value: false, error: null };
+      return { value: fallback, error: 'expected yes or no' };
+    case 'date': {
+      const m = text.match(DATE_TIME);
+      const day = m && new Date(`${m[1]}T00:00:00Z`);
+      if (!m || isNaN(day) || day.toISOString().slice(0, 10) !== m[1]) {
+        return { value: fallback, error: 'expected a date like 2026-11-01 or 2026-11-01 09:00' };
+      }
+      const time = !m[2] ? '00:00:00' : m[2].length === 5 ? `${m[2]}:00` : m[2];
+      const zone = !m[3] || m[3].toUpperCase() === 'Z' ? 'Z' : m[3].replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+      return { value: new Date(`${m[1]}T${time}${zone}`).toISOString(), error: null };
+    }
+    case 'hex':
+      return HEX_COLOR.test(text) ? { value: text, error: null } : { value: fallback, error: `not a #RRGGBB color` };
+    case 'enum': {
+      const match = (column.values || []).find((v) => v.toLowerCase() === text.toLowerCase());
+      return match ? { value: match, error: null } : { value: fallback, error: `expected one of ${column.values.join(', ')}` };
+    }
+    default:
+      if (column.pattern && !column.pattern.test(text)) {
+        return { value: column.type === 'url' ? fallback : text, error: column.hint || `does not match ${column.pattern}` };
+      }
+      return { value: text, error: null };
+  }
+}
+
+/**
+ * Read a column from a sheet row.
+ * @param {object} row - Parsed CSV row
+ * @param {object} column - Column definition
+ * @returns {{ raw: string, value: *, error: string|null, header: string }}
+ */
+export function readColumn(row, column) {
+  const key = findKey(row, column);
+  const raw = key !== undefined ? String(row[key] ?? '').trim() : '';
+  return { raw, header: key || column.header, ...coerceValue(column, raw) };
+}
+
+/**
+ * Read a column from a built catalog node (SPA side). Accepts the node key
+ * (e.g. `topOrder`) plus every sheet alias, and returns the coerced value.
+ * @param {object} item - Catalog node
+ * @param {string} key - Column key in MASTER_COLUMNS
+ * @returns {*}
+ */
+export function readField(item, key) {
+  const column = MASTER_COLUMNS[key];
+  const found = findKey(item, column, [key]);
+  return coerceValue(column, found !== undefined ? item[found] : '').value;
+}
+
+/**
+ * URL-safe slug for a catalog name: accents folded, lowercase, words joined
+ * by dashes ("Hermès Lily & Bean" → "hermes-lily-bean").
+ * @param {string} name
+ * @returns {string}
+ */
+export function slugify(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'item';
+}
+
+// Directory of the pre-rendered entry pages: <dir>/<brand slug>/<slug path>/
+export const ENTRY_PAGES_DIR = 'shop';
+
+/**
+ * Markdown lines documenting a column set, for the build summary.
+ * @param {object} columns - BRAND_COLUMNS or MASTER_COLUMNS
+ * @returns {string[]}
+ */
+export function describeColumns(columns) {
+  return Object.values(columns).map((c) => {
+    const notes = [c.type];
+    if (c.required) notes.push('required');
+    if (c.default !== undefined && c.default !== '') notes.push(`default \`${c.default}\``);
+    if (c.values) notes.push(c.values.join('/'));
+    const aliases = c.aliases?.length ? `; also ${c.aliases.map((a) => `\`${a}\``).join(', ')}` : '';
+    return `- \`${c.header}\` - ${c.description} (${notes.join(', ')}${aliases})`;
+  });
+}
@@ -0,0 +1,123 @@
+// catalog-scope.js - Per-brand catalog views, shared by tools/build-data.mjs and the SPA
+// ============================================================================
+//
+// A brand's `categories` cell lists the top-level categories and subtrees its
+// storefront shows ("BAGS; SHOES/Gucci"). The build resolves those entries to
+// tree keys and emits one view per brand; the SPA can also scope a full
+// data.json tree itself with the same functions.
+
+import { slugify } from './catalog-schema.js';
+
+/**
+ * Split a scope cell into entries. Accepts `;`, `|` or line breaks.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseScope(text) {
+  return String(text || '')
+    .split(/[;|\n]/)
+    .map((entry) => entry.split('/').map((s) => s.trim()).filter(Boolean).join('/'))
+    .filter(Boolean);
+}
+
+/**
+ * Map scope entries to tree-key paths. Segments match tree keys ignoring case,
+ * or node slugs.
+ * @param {object} tree - catalog.tree
+ * @param {string[]} entries - Result of parseScope()
+ * @returns {{ paths: string[], unknown: string[] }}
+ */
+export function resolveScope(tree, entries) {
+  const paths = [];
+  const unknown = [];
+  for (const entry of entries) {
+    const keys = [];
+    let node = tree;
+    for (const segment of entry.split('/')) {
+      const key = Object.keys(node || {}).find((k) =>
+        k.toLowerCase() === segment.toLowerCase() || (node[k].slug || slugify(k)) === slugify(segment)
+      );
+      if (!key) break;
+      keys.push(key);
+      node = node[key].children;
+    }
+    if (keys.length === entry.split('/').length) paths.push(keys.join('/'));
+    else unknown.push(entry);
+  }
+  return { paths, unknown };
+}
+
+const countOf = (node) => (node.isProduct ? 1 : node.count || 0);
+
+/**
+ * Non-Available statuses of a node: its own for a product, its folder
+ * counts (statusCounts) otherwise.
+ * @param {object} node - Catalog tree node
+ * @returns {object} status → products
+ */
+export const statusCountsOf = (node) => (node.isProduct ? (node.status ? { [node.status]: 1 } : {}) : node.statusCounts || {});
+
+/**
+ * Catalog restricted to the given tree-key paths. Included subtrees are
+ * shared with the source; their ancestors are copied with only the included
+ * children and recounted (count and statusCounts). An empty scope returns the catalog unchanged.
+ * @param {object} catalog - { tree, totalProducts, sections, sectionStats }
+ * @param {string[]} paths - Result of resolveScope().paths
+ * @returns {object} Catalog of the same shape
+ */
+export function scopeCatalog(catalog, paths) {
+  if (!paths?.length) return catalog;
+
+  const tree = {};
+  const copies = new Set();
+  for (const entry of paths) {
+    const keys = entry.split('/');
+    let src = catalog.tree;
+    let dst = tree;
+    for (let i = 0; i < keys.length; i++) {
+      const node = src?.[keys[i]];
+      if (!node) break;
+      if (i === keys.length - 1 || node.isProduct) {
+        dst[keys[i]] = node;
+        break;
+      }
+      if (dst[keys[i]] === node) break; // whole subtree already included
+      if (!dst[keys[i]]) {
+        // An ancestor: own fields only (a shard would bring back every child)
+        const { children, shard, ...rest } = node;
+        dst[keys[i]] = { ...rest, children: {} };
+        copies.add(dst[keys[i]]);
+      }
+      src = node.children;
+      dst = dst[keys[i]].children;
+    }
+  }
+
+  const recount = (node) => {
+    if (!copies.has(node)) return countOf(node);
+    const children = Object.values(node.children);
+    node.count = children.reduce((sum, child) => sum + recount(child), 0);
+    const statusCounts = {};
+    for (const child of children) {
+      for (const [status, n] of Object.entries(statusCountsOf(child))) statusCounts[status] = (statusCounts[status] || 0) + n;
+    }
+    if (Object.keys(statusCounts).length) node.statusCounts = statusCounts;
+    else delete node.statusCounts;
+    return node.count;
+  };
+  Object.values(tree).forEach(recount);
+
+  const sectionStats = {};
+  for (const node of Object.values(tree)) {
+    const section = node.section || 'Featured';
+    sectionStats[section] = (sectionStats[section] || 0) + countOf(node);
+  }
+
+  return {
+    ...catalog,
+    totalProducts: Object.values(tree).reduce((sum, node) => sum + countOf(node), 0),
+    tree,
+    sections: Object.keys(sectionStats),
+    sectionStats,
+  };
+}
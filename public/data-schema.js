@@ -0,0 +1,296 @@
+// data-schema.js - Versioned schema for data.json, shared by tools/build-data.mjs and the SPA
+// ============================================================================
+//
+// DATA_SCHEMA is a JSON Schema (draft 2020-12; JSON.stringify() it for other
+// tools) for data.json. catalog/index.json and the brand views carry the same
+// shape; their top-level categories point to a `shard` instead of holding the
+// whole subtree. The build checks its output with validateData() before
+// writing; the SPA passes whatever it loads through migrateData().
+//
+// Versions (meta.schemaVersion):
+//   1 - unversioned builds: nodes carry both TopOrder and topOrder, brand
+//       fields may sit under sheet headers ("Brand Name", colors.primaryColor)
+//   2 - one topOrder per node, canonical brand fields, versioned meta
+//   3 - products may list `aliases`: IDs of duplicates collapsed into them
+//   4 - brands may carry their homepage `sections` (from the sections sheet)
+//   5 - products may carry a stock `status`, folders `statusCounts`
+
+import { BRAND_COLUMNS, CONDITIONS, CURRENCY_CODE, HEX_COLOR, NODE_ID, SECTION_ITEMS, STOCK_STATUSES, WHATSAPP_URL, findKey } from './catalog-schema.js';
+
+export const DATA_SCHEMA_VERSION = 5;
+
+const hex = { type: 'string', pattern: HEX_COLOR.source };
+const text = { type: 'string' };
+const texts = { type: 'array', items: text };
+// Statuses stored on product nodes (Available is implied, Hidden is never published)
+const storedStatuses = STOCK_STATUSES.filter((status) => status !== 'Available' && status !== 'Hidden');
+
+export const DATA_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: `Catalog data.json (schema v${DATA_SCHEMA_VERSION})`,
+  type: 'object',
+  required: ['brands', 'catalog', 'meta'],
+  additionalProperties: false,
+  properties: {
+    brands: { type: 'object', minProperties: 1, additionalProperties: { $ref: '#/$defs/brand' } },
+    catalog: { $ref: '#/$defs/catalog' },
+    meta: {
+      type: 'object',
+      required: ['schemaVersion'],
+      properties: {
+        schemaVersion: { const: DATA_SCHEMA_VERSION },
+        buildVersion: text,
+        buildTime: text,
+        features: texts,
+        brandViews: { type: 'object', additionalProperties: text }
+      }
+    }
+  },
+  $defs: {
+    brand: {
+      type: 'object',
+      required: ['name', 'colors'],
+      additionalProperties: false,
+      properties: {
+        name: text,
+        tagline: text,
+        heroTitle: text,
+        heroSubtitle: text,
+        footerText: text,
+        colors: {
+          type: 'object',
+          required: ['primary', 'accent', 'text', 'bg'],
+          additionalProperties: false,
+          properties: { primary: hex, accent: hex, text: hex, bg: hex }
+        },
+        whatsapp: { type: 'string', pattern: WHATSAPP_URL.source },
+        defaultCategory: text,
+        currency: { type: 'string', pattern: CURRENCY_CODE.source },
+        scope: texts,
+        sections: { type: 'array', items: { $ref: '#/$defs/section' } }
+      }
+    },
+    section: {
+      type: 'object',
+      required: ['name', 'items'],
+      additionalProperties: false,
+      properties: {
+        name: text,
+        items: { enum: SECTION_ITEMS },
+        title: text,
+        subtitle: text,
+        limit: { type: 'integer', minimum: 1 },
+        paths: { type: 'array', items: texts }
+      }
+    },
+    catalog: {
+      type: 'object',
+      required: ['totalProducts', 'tree', 'sections', 'sectionStats'],
+      additionalProperties: false,
+      properties: {
+        totalProducts: { type: 'integer', minimum: 0 },
+        tree: { $ref: '#/$defs/children' },
+        sections: texts,
+        sectionStats: { type: 'object', additionalProperties: { type: 'integer', minimum: 0 } }
+      }
+    },
+    children: { type: 'object', additionalProperties: { $ref: '#/$defs/node' } },
+    node: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        isProduct: { type: 'boolean' },
+        id: { type: 'string', pattern: NODE_ID.source },
+        slug: text,
+        count: { type: 'integer', minimum: 0 },
+        statusCounts: {
+          type: 'object',
+          additionalProperties: false,
+          properties: Object.fromEntries(storedStatuses.map((status) => [status, { type: 'integer', minimum: 1 }]))
+        },
+        thumbnail: text,
+        section: text,
+        category: text,
+        topOrder: { type: 'integer' },
+        driveLink: text,
+        driveType: { enum: ['file', 'folder', 'item'] },
+        alignment: text,
+        fitting: text,
+        scaling: text,
+        sku: text,
+        material: text,
+        colors: texts,
+        sizes: texts,
+        condition: { enum: CONDITIONS },
+        dimensions: text,
+        description: text,
+        price: { type: 'number', minimum: 0 },
+        status: { enum: storedStatuses },
+        aliases: { type: 'array', items: { type: 'string', pattern: NODE_ID.source } },
+        shard: text,
+        children: { $ref: '#/$defs/children' }
+      }
+    }
+  }
+};
+
+export class DataSchemaError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ path: string, message: string }[]} [problems]
+   */
+  constructor(message, problems = []) {
+    const shown = problems.slice(0, 5).map((p) => `${p.path}: ${p.message}`);
+    const more = problems.length > shown.length ? ` (+${problems.length - shown.length} more)` : '';
+    super(shown.length ? `${message}: ${shown.join('; ')}${more}` : message);
+    this.name = 'DataSchemaError';
+    this.problems = problems;
+  }
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+// The keywords DATA_SCHEMA uses; anything else in a schema is ignored
+function check(schema, value, path, problems) {
+  if (schema.$ref) schema = schema.$ref.split('/').slice(1).reduce((s, key) => s[key], DATA_SCHEMA);
+
+  const actual = typeOf(value);
+  if (schema.type && !(actual === schema.type || (schema.type === 'number' && actual === 'integer'))) {
+    problems.push({ path, message: `expected ${schema.type}, got ${actual}` });
+    return;
+  }
+  if ('const' in schema && value !== schema.const) {
+    problems.push({ path, message: `expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({ path, message: `"${value}" is not one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.pattern && actual === 'string' && !new RegExp(schema.pattern).test(value)) {
+    problems.push({ path, message: `"${value}" does not match ${schema.pattern}` });
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    problems.push({ path, message: `${value} is below ${schema.minimum}` });
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, problems));
+  }
+  if (actual === 'object') {
+    const keys = Object.keys(value);
+    if (schema.minProperties && keys.length < schema.minProperties) {
+      problems.push({ path, message: `expected at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}` });
+    }
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) problems.push({ path, message: `missing "${key}"` });
+    });
+    for (const key of keys) {
+      const sub = schema.properties?.[key] ?? schema.additionalProperties;
+      const here = `${path}/${key}`;
+      if (sub === false) problems.push({ path: here, message: 'unexpected property' });
+      else if (sub && sub !== true) check(sub, value[key], here, problems);
+    }
+  }
+}
+
+/**
+ * Check data.json (or catalog/index.json, or a brand view merged into it)
+ * against DATA_SCHEMA.
+ * @param {object} data
+ * @returns {{ path: string, message: string }[]} problems; paths are JSON
+ *   pointers such as /catalog/tree/BAGS/topOrder
+ */
+export function validateData(data) {
+  const problems = [];
+  check(DATA_SCHEMA, data, '', problems);
+  return problems.map((p) => ({ ...p, path: p.path || '/' }));
+}
+
+const BRAND_FIELDS = ['tagline', 'heroTitle', 'heroSubtitle', 'footerText', 'whatsapp', 'defaultCategory', 'currency'];
+const COLOR_FIELDS = { primary: 'primaryColor', accent: 'accentColor', text: 'textColor', bg: 'bgColor' };
+
+// Upgrades from version N to N + 1; each returns a new object
+const MIGRATIONS = {
+  1: (data) => {
+    const brands = Object.fromEntries(Object.entries(data.brands || {}).map(([slug, brand]) => {
+      const value = (obj, column, names) => {
+        const key = findKey(obj, column, names);
+        return key !== undefined ? String(obj[key] ?? '').trim() : '';
+      };
+      const colors = Object.fromEntries(Object.entries(COLOR_FIELDS).map(([key, column]) => [
+        key,
+        value(brand.colors, BRAND_COLUMNS[column], [key]) || BRAND_COLUMNS[column].default
+      ]));
+      const upgraded = { name: value(brand, BRAND_COLUMNS.name, []) || slug, colors };
+      BRAND_FIELDS.forEach((key) => {
+        const found = value(brand, BRAND_COLUMNS[key], [key]);
+        if (found) upgraded[key] = found;
+      });
+      if (Array.isArray(brand.scope)) upgraded.scope = brand.scope;
+      return [slug, upgraded];
+    }));
+
+    const upgradeNodes = (nodes) => Object.fromEntries(Object.entries(nodes || {}).map(([key, node]) => {
+      const { TopOrder, children, ...rest } = node;
+      Object.keys(rest).filter((k) => k.startsWith('_inherited_')).forEach((k) => delete rest[k]);
+      const order = Number.parseInt(rest.topOrder ?? TopOrder, 10);
+      const upgraded = { ...rest, topOrder: Number.isFinite(order) ? order : 999 };
+      if (children) upgraded.children = upgradeNodes(children);
+      return [key, upgraded];
+    }));
+    const tree = upgradeNodes(data.catalog.tree);
+
+    // Section lists were optional; rebuild them from the top-level categories
+    let { sections, sectionStats } = data.catalog;
+    if (!sections || !sectionStats) {
+      sectionStats = {};
+      Object.values(tree).forEach((node) => {
+        const section = node.section || 'Featured';
+        sectionStats[section] = (sectionStats[section] || 0) + (node.isProduct ? 1 : node.count || 0);
+      });
+      sections = Object.keys(sectionStats);
+    }
+
+    return {
+      brands,
+      catalog: { totalProducts: data.catalog.totalProducts || 0, tree, sections, sectionStats },
+      meta: { ...data.meta, schemaVersion: 2 }
+    };
+  },
+  // Nothing to change: v2 data simply has no aliases
+  2: (data) => ({ ...data, meta: { ...data.meta, schemaVersion: 3 } }),
+  // Nothing to change: brands without sections keep the default order
+  3: (data) => ({ ...data, meta: { ...data.meta, schemaVersion: 4 } }),
+  // Nothing to change: products without a status are available
+  4: (data) => ({ ...data, meta: { ...data.meta, schemaVersion: 5 } })
+};
+
+/**
+ * Bring loaded data up to DATA_SCHEMA_VERSION and validate it.
+ * @param {object} data - Parsed data.json or catalog/index.json
+ * @returns {object} Data in the current shape (the input when already current)
+ * @throws {DataSchemaError} when the data is newer than this code, cannot be
+ *   migrated or does not match the schema
+ */
+export function migrateData(data) {
+  if (!data?.catalog?.tree || typeof data.catalog.tree !== 'object') {
+    throw new DataSchemaError('Catalog data has no catalog.tree');
+  }
+  let version = data.meta?.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new DataSchemaError(`Catalog data has an invalid meta.schemaVersion (${JSON.stringify(version)})`);
+  }
+  if (version > DATA_SCHEMA_VERSION) {
+    throw new DataSchemaError(`Catalog data uses schema v${version} but this page only understands up to v${DATA_SCHEMA_VERSION}; reload to get the latest version`);
+  }
+  while (version < DATA_SCHEMA_VERSION) data = MIGRATIONS[version++](data);
+
+  const problems = validateData(data);
+  if (problems.length) {
+    throw new DataSchemaError(`Catalog data does not match schema v${DATA_SCHEMA_VERSION}`, problems);
+  }
+  return data;
+}
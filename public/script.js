@@ -1,13 +1,41 @@
 // Complete Working CSV-Driven Catalog App with Smart Grid and Enhanced Features
 // ============================================================================
 
+import { CONDITIONS, ENTRY_PAGES_DIR, STOCK_STATUSES, orderSections, readField, slugify } from './catalog-schema.js';
+import { scopeCatalog } from './catalog-scope.js';
+import { DataSchemaError, migrateData, validateData } from './data-schema.js';
+
+// Pre-rendered entry page paths: /shop/<brand slug>/<slug path>/
+const ENTRY_PAGE_PATH = new RegExp(`^/${ENTRY_PAGES_DIR}/([^/]+)/(?:(.+?)/?)?$`);
+// Path the page was loaded at; window.__INITIAL_ROUTE__ describes this one only
+const ENTRY_PATHNAME = window.location.pathname;
+
+// Filter panel facets on category and search views, read from product nodes
+// with readField() (designer: the second tree key); `order` lists values in
+// display order, otherwise the most common come first
+const FACETS = [
+  { key: 'category', label: 'Category' },
+  { key: 'designer', label: 'Designer' },
+  { key: 'section', label: 'Section' },
+  { key: 'status', label: 'Availability', order: STOCK_STATUSES },
+  { key: 'material', label: 'Material' },
+  { key: 'colors', label: 'Color' },
+  { key: 'sizes', label: 'Size' },
+  { key: 'condition', label: 'Condition', order: CONDITIONS }
+];
+
 class CSVCatalogApp {
   constructor() {
   this.data = null;
   this.currentBrand = null;
   this.currentPath = [];
+  this.currentProduct = null;
   this.sections = new Map();
   this.isLoading = false;
+
+  // Category shards (url → Promise) and node ID → tree keys, filled as shards load
+  this.shardCache = new Map();
+  this.nodeIndex = new Map();
   
   // Scroll behavior properties
   this.lastScrollY = 0;
@@ -18,10 +46,76 @@ class CSVCatalogApp {
   this.initializeFromURL();
 }
 
+  // Route parameters of the current page. On a pre-rendered entry page
+  // (shop/<brand>/<slug path>/) brand and slug come from the path, the rest
+  // from the query; the page the browser loaded also carries its full route
+  // in window.__INITIAL_ROUTE__.
+  currentURLParams() {
+    const params = new URLSearchParams(window.location.search);
+    const match = window.location.pathname.match(ENTRY_PAGE_PATH);
+    if (!match) return params;
+
+    const initial = window.location.pathname === ENTRY_PATHNAME ? window.__INITIAL_ROUTE__ || {} : {};
+    const brandSlug = decodeURIComponent(match[1]);
+    const brand = Object.keys(this.data?.brands || {}).find(key => slugify(key) === brandSlug)
+      || (initial.brand && slugify(initial.brand) === brandSlug ? initial.brand : brandSlug);
+    params.set('brand', brand);
+    ['product', 'id'].forEach(key => {
+      if (initial[key] && !params.has('product') && !params.has('id')) params.set(key, initial[key]);
+    });
+    if (match[2] && !params.has('product')) params.set('slug', decodeURIComponent(match[2]));
+    return params;
+  }
+
+  // URL for pushState/replaceState and for links the app shares. A brand,
+  // category or product route uses its entry page's path, so a shared link
+  // gets that page's preview; other routes (searches, legacy paths) stay on
+  // the SPA root.
+  routeURL(params) {
+    const path = this.entryPagePath(params);
+    if (path) {
+      const rest = new URLSearchParams(params);
+      rest.delete('brand');
+      rest.delete('slug');
+      const query = rest.toString();
+      return query ? `${path}?${query}` : path;
+    }
+    const base = ENTRY_PAGE_PATH.test(window.location.pathname) ? '/' : window.location.pathname;
+    return `${base}?${params.toString()}`;
+  }
+
+  // Entry page path for a route, or '' when it has none (or the product is not loaded)
+  entryPagePath(params) {
+    const brand = params.get('brand');
+    if (!brand || params.has('q') || params.has('path')) return '';
+    let slugs = [];
+    if (params.get('product')) {
+      const keys = this.nodeIndex.get(params.get('product'));
+      if (!keys) return '';
+      slugs = this.slugsOf(keys);
+    } else if (params.get('slug')) {
+      slugs = params.get('slug').split('/');
+    }
+    return `/${ENTRY_PAGES_DIR}/${[slugify(brand), ...slugs].map(encodeURIComponent).join('/')}/`;
+  }
+
+  // Slug path of tree keys
+  slugsOf(keys) {
+    const slugs = [];
+    let node = this.data?.catalog?.tree || {};
+    for (const key of keys) {
+      const item = node[key];
+      slugs.push(item?.slug || slugify(key));
+      node = item?.children || {};
+    }
+    return slugs;
+  }
+
   initializeFromURL() {
-    const urlParams = new URLSearchParams(window.location.search);
+    const urlParams = this.currentURLParams();
     const brandFromURL = urlParams.get('brand');
     const pathFromURL = urlParams.get('path');
+    this.currentProduct = urlParams.get('product');
     
     // CRITICAL: Set brand immediately from URL
     if (brandFromURL) {
@@ -31,7 +125,7 @@ class CSVCatalogApp {
       this.updateBrandDisplay(brandFromURL);
     }
     
-    // Set path
+    // Set path (slug/id routes need the data; resolveRoute() maps them to keys)
     if (pathFromURL) {
       this.currentPath = pathFromURL.split('/').filter(Boolean);
     } else {
@@ -39,6 +133,149 @@ class CSVCatalogApp {
     }
   }
 
+  // Routes carry `slug` (readable slug path) and `id` (stable node ID from the
+  // build). The legacy `path` of raw tree keys is still accepted.
+  indexNodes(node, keys = []) {
+    Object.entries(node || {}).forEach(([key, item]) => {
+      const here = [...keys, key];
+      if (item.id) this.nodeIndex.set(item.id, here);
+      // IDs of duplicates the build collapsed into this product
+      (item.aliases || []).forEach(alias => {
+        if (!this.nodeIndex.has(alias)) this.nodeIndex.set(alias, here);
+      });
+      if (item.children && !item.isProduct) this.indexNodes(item.children, here);
+    });
+  }
+
+  // Load the shard holding a top-level category's subtree (no-op for
+  // unsharded data.json or mock data). Shards are fetched once and kept.
+  // `tree` is the current catalog's unless given (the full one, for scoping).
+  async loadShard(categoryKey, tree = this.data?.catalog?.tree) {
+    const category = tree?.[categoryKey];
+    if (!category?.shard) return;
+
+    const url = '/' + category.shard;
+    if (!this.shardCache.has(url)) {
+      this.shardCache.set(url, fetch(url).then(response => {
+        if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+        return response.json();
+      }));
+    }
+    try {
+      const shard = await this.shardCache.get(url);
+      if (category.shard !== url.slice(1)) return; // another call already attached it
+      category.children = shard.children;
+      delete category.shard;
+      this.indexNodes(category.children, [categoryKey]);
+    } catch (error) {
+      this.shardCache.delete(url);
+      throw error;
+    }
+  }
+
+  // Show only the current brand's storefront: its own view index when the build
+  // emitted one, otherwise the full catalog scoped here (data.json fallback).
+  // Returns false, with the data error shown, when neither can be had.
+  async applyBrandScope() {
+    if (!this.fullCatalog) this.fullCatalog = this.data.catalog;
+    const brand = this.data.brands?.[this.currentBrand];
+    const view = this.data.meta?.brandViews?.[this.currentBrand];
+
+    let catalog = null;
+    if (view) {
+      try {
+        const response = await fetch('/' + view, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`Failed to load ${view}: ${response.status}`);
+        const viewCatalog = (await response.json()).catalog;
+        const problems = validateData({ ...this.data, catalog: viewCatalog });
+        if (problems.length) throw new DataSchemaError(`${view} does not match the data schema`, problems);
+        catalog = viewCatalog;
+      } catch (error) {
+        console.log(`⚠️ ${error.message}, scoping the full index instead`);
+      }
+    }
+    if (!catalog) {
+      try {
+        catalog = await this.scopeFullCatalog(brand?.scope);
+      } catch (error) {
+        this.showDataError(error);
+        return false;
+      }
+    }
+
+    this.data.catalog = catalog;
+    this.scopedBrand = this.currentBrand;
+    this.nodeIndex.clear();
+    this.indexNodes(catalog.tree);
+    return true;
+  }
+
+  // Full catalog scoped to tree-key paths. The sharded index only holds
+  // top-level folders, so a nested entry ("SHOES/Gucci") loads its shard first.
+  async scopeFullCatalog(paths) {
+    const categories = new Set((paths || []).filter(p => p.includes('/')).map(p => p.split('/')[0]));
+    await Promise.all([...categories].map(key => this.loadShard(key, this.fullCatalog.tree)));
+    return scopeCatalog(this.fullCatalog, paths);
+  }
+
+  async loadAllShards() {
+    await Promise.all(Object.keys(this.data?.catalog?.tree || {}).map(key => this.loadShard(key)));
+  }
+
+  // Tree keys for the route in `params`. Unknown segments are kept so
+  // showCategoryView() can report them.
+  async resolveRoute(params) {
+    const id = params.get('id');
+    const slugPath = params.get('slug');
+    const wanted = (slugPath || params.get('path') || '').split('/').filter(Boolean);
+    const tree = this.data?.catalog?.tree || {};
+    const matchKey = (node, segment) => slugPath
+      ? Object.keys(node).find(k => (node[k].slug || slugify(k)) === segment)
+      : (node[segment] ? segment : Object.keys(node).find(k => k.toLowerCase() === segment.toLowerCase()));
+
+    // The first segment names the shard; an ID that moved to another
+    // category is only found once every shard is loaded
+    if (wanted.length > 1 || id) {
+      const category = wanted.length ? matchKey(tree, wanted[0]) : null;
+      try {
+        if (category) await this.loadShard(category);
+        if (id && !this.nodeIndex.has(id)) await this.loadAllShards();
+      } catch (error) {
+        this.showNotification('Could not load this category');
+      }
+    }
+    if (id && this.nodeIndex.has(id)) return [...this.nodeIndex.get(id)];
+
+    const keys = [];
+    let node = tree;
+    for (const segment of wanted) {
+      const key = matchKey(node, segment);
+      if (!key) return [...keys, ...wanted.slice(keys.length)];
+      keys.push(key);
+      node = node[key].children || {};
+    }
+    return keys;
+  }
+
+  // Write the route for `keys` (tree keys) into `params`; a route replaces a search
+  setRouteParams(params, keys) {
+    params.delete('q');
+    params.delete('product');
+    params.delete('path');
+    params.delete('slug');
+    params.delete('id');
+    if (!keys.length) return;
+
+    let node = this.data?.catalog?.tree || {};
+    let item = null;
+    for (const key of keys) {
+      item = node[key];
+      node = item?.children || {};
+    }
+    params.set('slug', this.slugsOf(keys).join('/'));
+    if (item?.id) params.set('id', item.id);
+  }
+
   updateBrandDisplay(brandFromURL) {
     // Update brand name immediately from URL
     const brandNameElement = document.getElementById('brandName');
@@ -80,8 +317,8 @@ class CSVCatalogApp {
     console.log('🔍 Checking topOrder data after load...');
     if (this.data.catalog && this.data.catalog.tree) {
       Object.entries(this.data.catalog.tree).forEach(([key, item]) => {
-        const topOrder = item.topOrder || item['Top Order'] || item.top_order;
-        if (topOrder !== undefined) {
+        const topOrder = readField(item, 'topOrder');
+        if (topOrder !== 999) {
           console.log(`✅ ${key} has topOrder: ${topOrder}`);
         } else {
           console.log(`❌ ${key} missing topOrder`);
@@ -90,10 +327,21 @@ class CSVCatalogApp {
     }
 
     this.setupBrandInfo();
+
+    // Resolve slug/id (or legacy path) routes and rewrite legacy links to slugs
+    const routeParams = this.currentURLParams();
+    this.currentPath = await this.resolveRoute(routeParams);
+    if (routeParams.has('path') && this.currentPath.length > 0) {
+      this.setRouteParams(routeParams, this.currentPath);
+      window.history.replaceState({ path: this.currentPath, brand: this.currentBrand }, '', this.routeURL(routeParams));
+    }
     
-    
-    // Check if we need to show category view or homepage
-    if (this.currentPath.length > 0) {
+    // Check if we need to show a product, category view or homepage
+    if (this.currentProduct) {
+      this.showProductView();
+    } else if (routeParams.get('q')) {
+      this.showSearchView(routeParams.get('q'));
+    } else if (this.currentPath.length > 0) {
       this.showCategoryView();
     } else {
       this.setupDynamicSections();
@@ -120,12 +368,17 @@ class CSVCatalogApp {
   try {
     this.showLoading();
     
-    const response = await fetch('/data.json?v=' + Date.now());
+    // Small index first (category shards load on demand); fall back to the
+    // full data.json. no-cache revalidates instead of bypassing the cache.
+    let response = await fetch('/catalog/index.json', { cache: 'no-cache' });
+    if (!response.ok) response = await fetch('/data.json', { cache: 'no-cache' });
     if (response.ok) {
-      this.data = await response.json();
+      // Older builds are upgraded; data this page cannot read is an error,
+      // never a reason to show the demo catalog
+      this.data = migrateData(await response.json());
       
       // CRITICAL: Don't override currentBrand if it's already set from URL
-      const urlParams = new URLSearchParams(window.location.search);
+      const urlParams = this.currentURLParams();
       const brandFromURL = urlParams.get('brand');
       
       const availableBrands = Object.keys(this.data.brands || {});
@@ -139,23 +392,34 @@ class CSVCatalogApp {
         throw new Error('No brands available');
       }
       
+      if (!(await this.applyBrandScope())) {
+        this.data = null;
+        return;
+      }
+
       // DEBUG: Check if CSV data is properly loaded
-      console.log('🔍 Loaded data from data.json');
+      console.log(`🔍 Loaded data from ${new URL(response.url).pathname}`);
       this.debugCSVData();
       
     } else {
       throw new Error(`Failed to load data: ${response.status}`);
     }
   } catch (error) {
+    if (error instanceof DataSchemaError) {
+      this.data = null;
+      this.showDataError(error);
+      return;
+    }
     console.log('⚠️ Loading mock data instead');
     this.loadMockData();
+    await this.applyBrandScope();
   } finally {
     this.hideLoading();
     }
   }
 
   loadMockData() {
-    this.data = {
+    this.data = migrateData({
       brands: {
         'LuxuryEmporium': {
           name: 'Luxury Emporium',
@@ -229,7 +493,7 @@ class CSVCatalogApp {
           'WATCHES': { count: 68, thumbnail: '', section: 'Premium', children: {} }
         }
       }
-    };
+    });
     
     if (!this.currentBrand) {
       this.currentBrand = Object.keys(this.data.brands)[0];
@@ -241,12 +505,23 @@ class CSVCatalogApp {
   }
 
   // Show category view
-  showCategoryView() {
+  async showCategoryView() {
   // Add body attribute for CSS targeting
   document.body.setAttribute('data-page-type', 'category');
+  this.currentProduct = null;
   
   // FIXED: Reset scroll position first
   this.resetScrollPosition();
+
+  // Fetch the category's shard; skip rendering if the user navigated away meanwhile
+  const requestedPath = this.currentPath.join('/');
+  try {
+    await this.loadShard(this.currentPath[0]);
+  } catch (error) {
+    this.showNotification('Could not load this category');
+    return;
+  }
+  if (this.currentPath.join('/') !== requestedPath) return;
   
   // Navigate to the current path in the data tree
   let currentNode = this.data.catalog.tree;
@@ -357,13 +632,13 @@ addBreadcrumbNavigation(breadcrumbs) {
         const pathSegments = crumb.path.split('/').filter(Boolean);
         this.currentPath = pathSegments;
         
-        const params = new URLSearchParams(window.location.search);
-        params.set('path', crumb.path);
+        const params = this.currentURLParams();
+        this.setRouteParams(params, pathSegments);
         if (this.currentBrand) {
           params.set('brand', this.currentBrand);
         }
         
-        const newURL = `${window.location.pathname}?${params.toString()}`;
+        const newURL = this.routeURL(params);
         window.history.pushState({ 
           path: pathSegments, 
           brand: this.currentBrand 
@@ -401,53 +676,18 @@ renderCategoryContents(currentNode, breadcrumbs) {
   console.log('🔍 DEEP NESTED DEBUG: Current node structure:', currentNode);
   console.log('🗂️ BREADCRUMBS:', breadcrumbs.map(b => b.name).join(' > '));
 
-  const items = Object.entries(currentNode).map(([key, item]) => {
+  // Facet filters from the URL narrow the products of this subtree; folders
+  // stay as long as something under them matches
+  const active = this.activeFacets();
+  const keys = breadcrumbs.map(b => b.name);
+  const items = Object.entries(currentNode).filter(([key, item]) => !active.size || this.matchCount(item, [...keys, key], active) > 0).map(([key, item]) => {
     const currentPath = breadcrumbs.length > 0 ? breadcrumbs.map(b => b.name).join('/') + '/' + key : key;
     
-    // COMPREHENSIVE DEBUG: Check ALL possible TopOrder variations
-    console.log(`🔍 DEEP ITEM DEBUG for ${key} at path ${currentPath}:`, {
-      fullItem: item,
-      keys: Object.keys(item),
-      TopOrder: item.TopOrder,
-      topOrder: item.topOrder,
-      'Top Order': item['Top Order'],
-      'TOP ORDER': item['TOP ORDER'],
-      Order: item.Order,
-      order: item.order,
-      Priority: item.Priority,
-      priority: item.priority,
-      Rank: item.Rank,
-      rank: item.rank,
-      Sort: item.Sort,
-      sort: item.sort
-    });
-
+    // TopOrder under any of its sheet aliases (see catalog-schema.js)
     const extractTopOrder = (item, itemKey, fullPath) => {
-      // Check EVERY possible variation
-      const variations = [
-        'TopOrder', 'topOrder', 'Top Order', 'TOP ORDER',
-        'Order', 'order', 'ORDER',
-        'Priority', 'priority', 'PRIORITY',
-        'Rank', 'rank', 'RANK',
-        'Sort', 'sort', 'SORT',
-        'Position', 'position', 'POSITION'
-      ];
-      
-      for (const variation of variations) {
-        const value = item[variation];
-        if (value !== undefined && value !== null && value !== '') {
-          const parsed = parseInt(value);
-          if (!isNaN(parsed)) {
-            console.log(`✅ DEEP SUCCESS: Found ${variation} for ${itemKey} at ${fullPath}: ${value} → ${parsed}`);
-            return parsed;
-          } else {
-            console.log(`⚠️ DEEP Found ${variation} but can't parse: ${value} for ${itemKey}`);
-          }
-        }
-      }
-      
-      console.log(`❌ DEEP NO TopOrder found for ${itemKey} at ${fullPath}, using default 999`);
-      return 999;
+      const parsed = readField(item, 'topOrder');
+      console.log(`🔍 DEEP TopOrder for ${itemKey} at ${fullPath}: ${parsed}`);
+      return parsed;
     };
 
     const topOrder = extractTopOrder(item, key, currentPath);
@@ -456,45 +696,55 @@ renderCategoryContents(currentNode, breadcrumbs) {
       return {
         key,
         title: key,
-        description: 'Premium product from our luxury collection',
+        description: this.productDescription(item),
+        specs: this.productSpecs(item),
         count: 1,
         thumbnail: item.thumbnail || this.getEmojiForCategory('PRODUCT'),
         isProduct: true,
+        id: item.id,
         driveLink: item.driveLink,
+        price: item.price,
+        status: readField(item, 'status'),
         topOrder: topOrder,
         fullPath: currentPath,
-        alignment: item.alignment || item.Alignment || item.ALIGNMENT,
-        fitting: item.fitting || item.Fitting || item.FITTING,
-        scaling: item.scaling || item.Scaling || item.SCALING
+        alignment: readField(item, 'alignment'),
+        fitting: readField(item, 'fitting'),
+        scaling: readField(item, 'scaling')
       };
     } else {
+      const count = this.matchCount(item, [...keys, key], active);
+      const soldOut = active.has('status') ? 0 : this.statusBreakdown(item)['Sold Out'] || 0;
       return {
         key,
         title: key.replace(/_/g, ' '),
-        description: `Explore ${item.count || 0} items in this collection`,
-        count: item.count || 0,
+        description: `Explore ${count} items in this collection${soldOut ? ` (${soldOut} sold out)` : ''}`,
+        count,
         thumbnail: item.thumbnail || this.getEmojiForCategory(key),
         isProduct: false,
         topOrder: topOrder,
         fullPath: currentPath,
-        alignment: item.alignment || item.Alignment || item.ALIGNMENT,
-        fitting: item.fitting || item.Fitting || item.FITTING,
-        scaling: item.scaling || item.Scaling || item.SCALING
+        alignment: readField(item, 'alignment'),
+        fitting: readField(item, 'fitting'),
+        scaling: readField(item, 'scaling')
       };
     }
   });
 
+  const facetHTML = this.facetPanelHTML(this.facetCounts(this.subtreeProducts(currentNode, keys), active), active);
+  const rerender = () => this.renderCategoryContents(currentNode, breadcrumbs);
   if (items.length === 0) {
     container.innerHTML = `
       <section class="content-section">
         <div class="container">
+          ${facetHTML}
           <div class="section-header">
             <h2 class="section-title">No Items Found</h2>
-            <p class="section-description">This category is currently empty.</p>
+            <p class="section-description">${active.size ? 'Nothing in this category matches these filters.' : 'This category is currently empty.'}</p>
           </div>
         </div>
       </section>
     `;
+    this.bindFacetPanel(container, rerender);
     return;
   }
 
@@ -543,12 +793,14 @@ renderCategoryContents(currentNode, breadcrumbs) {
   container.innerHTML = `
     <section class="content-section">
       <div class="container">
+        ${facetHTML}
         <div class="cards-grid ${gridClass}" id="${containerId}">
           ${items.map(item => this.createCardHTML(item)).join('')}
         </div>
       </div>
     </section>
   `;
+  this.bindFacetPanel(container, rerender);
 
   if (gridClass === 'grid-smart') {
     setTimeout(() => {
@@ -558,7 +810,143 @@ renderCategoryContents(currentNode, breadcrumbs) {
   }
 }
 
-  
+
+// Products of a node per stock status: 1 for a product, a folder's
+// statusCounts plus the Available rest
+statusBreakdown(node) {
+  if (node.isProduct) return { [readField(node, 'status')]: 1 };
+  const counts = { ...(node.statusCounts || {}) };
+  const others = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  if ((node.count || 0) > others) counts.Available = node.count - others;
+  return counts;
+}
+
+// Products under `nodes` as { node, keys } (tree keys from the catalog root)
+subtreeProducts(nodes, keys = []) {
+  const products = [];
+  const walk = (children, prefix) => {
+    Object.entries(children || {}).forEach(([key, node]) => {
+      const here = [...prefix, key];
+      if (node.isProduct) products.push({ node, keys: here });
+      else walk(node.children, here);
+    });
+  };
+  walk(nodes, keys);
+  return products;
+}
+
+// Values a product has for a facet; the designer is its second tree key
+facetValues({ node, keys }, facet) {
+  if (facet === 'designer') return keys.length > 2 ? [keys[1]] : [];
+  const value = readField(node, facet);
+  return (Array.isArray(value) ? value : [value]).filter(Boolean);
+}
+
+// Facet filters of the URL (f=<facet>:<value>, repeated) as facet → Set of values
+activeFacets() {
+  const active = new Map();
+  this.currentURLParams().getAll('f').forEach(entry => {
+    const split = entry.indexOf(':');
+    const facet = entry.slice(0, split);
+    if (split < 1 || !FACETS.some(f => f.key === facet)) return;
+    if (!active.has(facet)) active.set(facet, new Set());
+    active.get(facet).add(entry.slice(split + 1));
+  });
+  return active;
+}
+
+// Whether a product has a selected value for every active facet but `except`
+matchesFacets(product, active, except = '') {
+  for (const [facet, values] of active) {
+    if (facet !== except && !this.facetValues(product, facet).some(value => values.has(value))) return false;
+  }
+  return true;
+}
+
+// Products of a node (at tree keys `keys`) that pass the active facets. With
+// no facet but status active a folder's statusCounts answer that; the other
+// facets need its products.
+matchCount(node, keys, active) {
+  if (node.isProduct) return this.matchesFacets({ node, keys }, active) ? 1 : 0;
+  if ([...active.keys()].every(facet => facet === 'status')) {
+    const statuses = active.get('status');
+    return Object.entries(this.statusBreakdown(node))
+      .filter(([status]) => !statuses || statuses.has(status))
+      .reduce((sum, [, n]) => sum + n, 0);
+  }
+  return this.subtreeProducts(node.children, keys).filter(product => this.matchesFacets(product, active)).length;
+}
+
+// Value counts per facet over `products`: facet → { counts: value → products, total }.
+// A facet's counts apply every other active facet, so ticking more values of
+// one facet widens the result.
+facetCounts(products, active) {
+  return new Map(FACETS.map(facet => {
+    const candidates = products.filter(product => this.matchesFacets(product, active, facet.key));
+    const counts = new Map();
+    candidates.forEach(product => {
+      this.facetValues(product, facet.key).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+    return [facet.key, { counts, total: candidates.length }];
+  }));
+}
+
+// Filter panel from facetCounts(). Facets whose products all share one value
+// are left out unless selected.
+facetPanelHTML(facetCounts, active) {
+  const groups = FACETS.map(facet => {
+    const { counts, total } = facetCounts.get(facet.key);
+    const selected = active.get(facet.key) || new Set();
+    selected.forEach(value => { if (!counts.has(value)) counts.set(value, 0); });
+    const values = [...counts.keys()].sort(facet.order
+      ? (a, b) => facet.order.indexOf(a) - facet.order.indexOf(b)
+      : (a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+    const useful = values.length > 1 || (values.length === 1 && counts.get(values[0]) < total);
+    return { facet, values, counts, selected, show: useful || selected.size > 0 };
+  }).filter(group => group.show);
+  if (!groups.length) return '';
+
+  return `
+    <div class="facet-panel" role="group" aria-label="Filter products">
+      ${groups.map(({ facet, values, counts, selected }) => `
+      <details class="facet"${selected.size ? ' open' : ''}>
+        <summary class="facet-title">${facet.label}${selected.size ? ` <span class="facet-selected">${selected.size}</span>` : ''}</summary>
+        <div class="facet-options">
+          ${values.map(value => `
+          <label class="facet-option">
+            <input type="checkbox" data-facet="${facet.key}" value="${this.escapeHTML(value)}"${selected.has(value) ? ' checked' : ''}>
+            <span class="facet-value">${this.escapeHTML(value)}</span>
+            <span class="facet-count">${counts.get(value)}</span>
+          </label>`).join('')}
+        </div>
+      </details>`).join('')}
+      ${active.size ? '<button type="button" class="facet-clear" data-facet-clear>Clear filters</button>' : ''}
+    </div>
+  `;
+}
+
+// Ticking a value rewrites the URL's f= parameters (so the view can be
+// shared) and renders the view again
+bindFacetPanel(container, render) {
+  const apply = (entries) => {
+    const params = this.currentURLParams();
+    params.delete('f');
+    entries.forEach(entry => params.append('f', entry));
+    window.history.replaceState(window.history.state, '', this.routeURL(params));
+    render();
+  };
+  container.querySelectorAll('[data-facet]').forEach(input => {
+    input.addEventListener('change', () => {
+      const entry = `${input.dataset.facet}:${input.value}`;
+      const entries = this.currentURLParams().getAll('f').filter(e => e !== entry);
+      apply(input.checked ? [...entries, entry] : entries);
+    });
+  });
+  container.querySelectorAll('[data-facet-clear]').forEach(button => {
+    button.addEventListener('click', () => apply([]));
+  });
+}
+
 debugCSVData() {
   console.log('=== CSV DATA DEBUG ===');
   console.log('Full data object:', this.data);
@@ -570,7 +958,7 @@ debugCSVData() {
     const walkTree = (node, path = []) => {
       Object.entries(node).forEach(([key, item]) => {
         const currentPath = [...path, key];
-        const topOrder = item.topOrder || item['Top Order'] || item.top_order || 'NOT FOUND';
+        const topOrder = readField(item, 'topOrder');
         
         console.log(`${currentPath.join('/')} - topOrder: ${topOrder}`, item);
         
@@ -635,17 +1023,19 @@ sortItemsEnhanced(items, isHomepage = false) {
   this.resetScrollPosition();
   
   // Update URL
-  const params = new URLSearchParams(window.location.search);
-  params.delete('path');
+  const params = this.currentURLParams();
+  this.setRouteParams(params, []);
+  params.delete('f');
   if (this.currentBrand) {
     params.set('brand', this.currentBrand);
   }
   
-  const newURL = `${window.location.pathname}?${params.toString()}`;
+  const newURL = this.routeURL(params);
   window.history.pushState({ brand: this.currentBrand }, '', newURL);
   
   // Reset state
   this.currentPath = [];
+  this.currentProduct = null;
   
   // Re-render homepage
   this.setupDynamicSections();
@@ -668,7 +1058,7 @@ sortItemsEnhanced(items, isHomepage = false) {
 
   setupBrandInfo() {
     // Get brand from URL first - THIS IS CRITICAL
-    const urlParams = new URLSearchParams(window.location.search);
+    const urlParams = this.currentURLParams();
     const urlBrand = urlParams.get('brand');
     
     // ALWAYS use URL brand if available
@@ -692,11 +1082,11 @@ sortItemsEnhanced(items, isHomepage = false) {
       }
     }
 
-    // Get brand information with multiple fallback patterns
-    const brandName = brand.name || brand.brandName || brand['Brand Name'] || this.slugToDisplayName(this.currentBrand);
-    const tagline = brand.tagline || brand.brandTagline || brand['Brand Tagline'] || 'Premium Quality Collection';
-    const heroTitle = brand.heroTitle || brand.hero_title || brand['Hero Title'] || 'Discover Luxury Collections';
-    const heroSubtitle = brand.heroSubtitle || brand.hero_subtitle || brand['Hero Subtitle'] || 'Curated premium products from the world\'s finest brands.';
+    // Brand fields are canonical (see data-schema.js); empty ones get defaults
+    const brandName = brand.name || this.slugToDisplayName(this.currentBrand);
+    const tagline = brand.tagline || 'Premium Quality Collection';
+    const heroTitle = brand.heroTitle || 'Discover Luxury Collections';
+    const heroSubtitle = brand.heroSubtitle || 'Curated premium products from the world\'s finest brands.';
 
     // FORCE immediate DOM updates
     const elements = [
@@ -731,13 +1121,7 @@ sortItemsEnhanced(items, isHomepage = false) {
     }
 
     // FORCE apply brand colors
-    const colors = brand.colors || {};
-    const brandColors = {
-      primary: colors.primary || colors.primaryColor || colors['Primary Color'] || '#6366f1',
-      accent: colors.accent || colors.accentColor || colors['Accent Color'] || '#8b5cf6',
-      text: colors.text || colors.textColor || colors['Text Color'] || '#202124',
-      bg: colors.bg || colors.bgColor || colors['Background Color'] || '#ffffff'
-    };
+    const brandColors = brand.colors;
     
     // Apply colors immediately to root with force
     const root = document.documentElement;
@@ -761,7 +1145,7 @@ sortItemsEnhanced(items, isHomepage = false) {
     // Setup WhatsApp button
     const whatsApp = document.getElementById('whatsappFab');
     if (whatsApp) {
-      const whatsappUrl = brand.whatsapp || brand.whatsappUrl || brand['WhatsApp'] || '';
+      const whatsappUrl = brand.whatsapp || '';
       if (whatsappUrl) {
         whatsApp.href = whatsappUrl;
         whatsApp.style.display = 'flex';
@@ -864,7 +1248,7 @@ sortItemsEnhanced(items, isHomepage = false) {
     }, 10);
   }
 
-  setupDynamicSections() {
+  async setupDynamicSections() {
   const container = document.getElementById('dynamicSections');
   if (!container) return;
 
@@ -874,19 +1258,46 @@ sortItemsEnhanced(items, isHomepage = false) {
 
   this.groupItemsBySection();
   
-  const sectionOrder = ['Featured', 'Best Sellers', 'Premium', 'New Arrivals', 'Trending'];
+  // The brand's sections from the sections sheet, else every section of the
+  // catalog in the default order
+  const brandKey = this.currentBrand;
+  const configured = this.data.brands?.[brandKey]?.sections;
+  const sections = configured ||
+    orderSections([...this.sections.keys()]).map(name => ({ name, items: 'Categories' }));
+  const deepItems = await this.loadSectionItems(sections);
+  // Navigated away (or to another brand) while shards were loading
+  if (this.currentPath.length > 0 || this.currentProduct || this.currentBrand !== brandKey) return;
   
   container.innerHTML = '';
   let sectionsCreated = 0;
   
-  sectionOrder.forEach(sectionName => {
-    if (this.sections.has(sectionName) && this.sections.get(sectionName).length > 0) {
-      const sectionHTML = this.createSectionHTML(sectionName, this.sections.get(sectionName));
+  sections.forEach(section => {
+    const items = section.items === 'Categories'
+      ? (this.sections.get(section.name) || []).slice(0, section.limit)
+      : deepItems.get(section);
+    if (items?.length > 0) {
+      const sectionHTML = this.createSectionHTML(section, items);
       container.insertAdjacentHTML('beforeend', sectionHTML);
       sectionsCreated++;
     }
   });
 
+  // A brand whose sections sheet hides or empties every section shows that,
+  // rather than the whole catalog
+  if (sectionsCreated === 0 && configured) {
+    container.innerHTML = `
+      <section class="content-section">
+        <div class="container">
+          <div class="section-header">
+            <h2 class="section-title">Nothing Here Yet</h2>
+            <p class="section-description">This storefront has no collections to show right now.</p>
+          </div>
+        </div>
+      </section>
+    `;
+    return;
+  }
+
   if (sectionsCreated === 0) {
     const allItems = [];
     
@@ -905,16 +1316,16 @@ sortItemsEnhanced(items, isHomepage = false) {
         description: `Explore our premium ${key.toLowerCase().replace('_', ' ')} collection`,
         count: item.count || 0,
         thumbnail: item.thumbnail || '',
-        topOrder: item.topOrder || 999,
+        topOrder: readField(item, 'topOrder'),
         // ENSURE all image properties are passed through
-        alignment: item.alignment || item.Alignment || item.ALIGNMENT,
-        fitting: item.fitting || item.Fitting || item.FITTING,
-        scaling: item.scaling || item.Scaling || item.SCALING,
+        alignment: readField(item, 'alignment'),
+        fitting: readField(item, 'fitting'),
+        scaling: readField(item, 'scaling'),
       });
     });
 
     if (allItems.length > 0) {
-      const sectionHTML = this.createSectionHTML('', allItems);
+      const sectionHTML = this.createSectionHTML(null, allItems);
       container.insertAdjacentHTML('beforeend', sectionHTML);
     }
   }
@@ -933,29 +1344,11 @@ groupItemsBySection() {
       this.sections.set(section, []);
     }
     
-    // FIXED: Extract TopOrder with comprehensive fallback for HOMEPAGE
+    // TopOrder under any of its sheet aliases (see catalog-schema.js)
     const getTopOrder = (item) => {
-      const variations = [
-        'TopOrder', 'topOrder', 'Top Order', 'TOP ORDER',
-        'Order', 'order', 'ORDER',
-        'Priority', 'priority', 'PRIORITY',
-        'Rank', 'rank', 'RANK',
-        'Sort', 'sort', 'SORT'
-      ];
-      
-      for (const variation of variations) {
-        const value = item[variation];
-        if (value !== undefined && value !== null && value !== '') {
-          const parsed = parseInt(value);
-          if (!isNaN(parsed)) {
-            console.log(`✅ HOMEPAGE TopOrder for ${key}: ${variation} = ${parsed}`);
-            return parsed;
-          }
-        }
-      }
-      
-      console.log(`⚠️ No TopOrder found for ${key} on homepage, using default 999`);
-      return 999;
+      const parsed = readField(item, 'topOrder');
+      console.log(`✅ HOMEPAGE TopOrder for ${key}: ${parsed}`);
+      return parsed;
     };
     
     this.sections.get(section).push({
@@ -966,9 +1359,9 @@ groupItemsBySection() {
       thumbnail: item.thumbnail || this.getEmojiForCategory(key),
       topOrder: getTopOrder(item),
       // Pass through image configuration
-      alignment: item.alignment || item.Alignment || item.ALIGNMENT,
-      fitting: item.fitting || item.Fitting || item.FITTING,
-      scaling: item.scaling || item.Scaling || item.SCALING
+      alignment: readField(item, 'alignment'),
+      fitting: readField(item, 'fitting'),
+      scaling: readField(item, 'scaling')
     });
   });
 
@@ -996,18 +1389,79 @@ groupItemsBySection() {
     console.log(`📋 Final HOMEPAGE ${sectionName} order:`, items.map(item => `${item.title}(${item.topOrder})`));
   });
 }  
-  createSectionHTML(sectionName, items) {
+  // Cards for sections that reach below the top level (Products/All in the
+  // sections sheet): the build lists their tree paths, so only the shards
+  // holding them are loaded. Returns section → card items.
+  async loadSectionItems(sections) {
+    const deepItems = new Map();
+    for (const section of sections.filter(s => s.paths)) {
+      try {
+        await Promise.all([...new Set(section.paths.map(keys => keys[0]))].map(key => this.loadShard(key)));
+      } catch (error) {
+        console.log(`⚠️ Could not load items for section ${section.name}: ${error.message}`);
+        continue;
+      }
+      const items = section.paths.map(keys => {
+        let node = { children: this.data.catalog.tree };
+        keys.forEach(key => { node = node?.children?.[key]; });
+        return node ? this.sectionItem(keys, node) : null;
+      });
+      deepItems.set(section, items.filter(Boolean));
+    }
+    return deepItems;
+  }
+
+  // Card item for a node at any depth; folders open by path
+  sectionItem(keys, item) {
+    const key = keys[keys.length - 1];
+    const common = {
+      key,
+      topOrder: readField(item, 'topOrder'),
+      searchPath: keys.join('/'),
+      alignment: readField(item, 'alignment'),
+      fitting: readField(item, 'fitting'),
+      scaling: readField(item, 'scaling')
+    };
+    if (item.isProduct) {
+      return {
+        ...common,
+        title: key,
+        description: this.productDescription(item),
+        specs: this.productSpecs(item),
+        count: 1,
+        thumbnail: item.thumbnail || this.getEmojiForCategory('PRODUCT'),
+        isProduct: true,
+        id: item.id,
+        driveLink: item.driveLink,
+        price: item.price,
+        status: readField(item, 'status')
+      };
+    }
+    return {
+      ...common,
+      title: key.replace(/_/g, ' '),
+      description: `Explore ${item.count || 0} items in this collection`,
+      count: item.count || 0,
+      thumbnail: item.thumbnail || this.getEmojiForCategory(key),
+      isProduct: false
+    };
+  }
+
+  // `section` is { name, title?, subtitle? } (null for the untitled fallback
+  // grid); Featured has no heading unless the sections sheet gives it one
+  createSectionHTML(section, items) {
     const gridClass = this.getGridClass(items.length);
-    const shouldShowTitle = sectionName && sectionName !== 'Featured' && sectionName !== '';
+    const title = section?.title || (section?.name !== 'Featured' ? section?.name : '');
+    const subtitle = section?.subtitle || (section?.name ? `Explore our ${section.name.toLowerCase()} collection` : '');
     const sectionId = `section-${Math.random().toString(36).substr(2, 9)}`;
     
     const sectionHTML = `
       <section class="content-section">
         <div class="container">
-          ${shouldShowTitle ? `
+          ${title || section?.subtitle ? `
             <div class="section-header">
-              <h2 class="section-title">${sectionName}</h2>
-              <p class="section-description">Explore our ${sectionName.toLowerCase()} collection</p>
+              ${title ? `<h2 class="section-title">${this.escapeHTML(title)}</h2>` : ''}
+              <p class="section-description">${this.escapeHTML(subtitle)}</p>
             </div>
           ` : ''}
           <div class="cards-grid ${gridClass}" id="${sectionId}">
@@ -1101,10 +1555,19 @@ createCardHTML(item) {
     imageContent = this.getEmojiForCategory(item.key);
   }
 
-  const badgeText = item.isProduct ? 'View Product' : `${item.count} Items`;
+  // Products show their stock status, or their selling price when available
+  // in a priced storefront
+  const status = item.isProduct ? item.status || 'Available' : '';
+  const price = item.isProduct ? this.formatPrice(item.price) : '';
+  const showStatus = status && (status !== 'Available' || !price);
+  const badgeText = showStatus ? status : price || `${item.count} Items`;
+  const badgeClass = showStatus ? ` card-status card-status-${slugify(status)}` : price ? ' card-price' : '';
+  const notifyLink = status === 'Sold Out'
+    ? this.getInquiryLink(item.title, item, { notify: true, url: item.id ? this.productURL(item.id) : undefined })
+    : '';
 
   return `
-    <div class="content-card" data-category="${item.key}" data-is-product="${item.isProduct || false}" data-drive-link="${item.driveLink || ''}" data-search-path="${item.searchPath || ''}" role="button" tabindex="0">
+    <div class="content-card" data-category="${item.key}" data-is-product="${item.isProduct || false}" data-status="${status}" data-drive-link="${item.driveLink || ''}" data-product-id="${item.isProduct ? item.id || '' : ''}" data-search-path="${item.searchPath || ''}" role="button" tabindex="0">
       <div class="card-image card-image-container">
         ${imageContent}
         <div class="card-overlay"></div>
@@ -1112,29 +1575,75 @@ createCardHTML(item) {
       <div class="card-content">
         <h3 class="card-title">${item.title}</h3>
         <p class="card-description">${item.description}</p>
+        ${item.specs?.length ? `
+        <ul class="card-specs">
+          ${item.specs.map(spec => `<li class="card-spec" title="${spec.label}">${spec.value}</li>`).join('')}
+        </ul>` : ''}
         <div class="card-footer">
-          <span class="card-badge">${badgeText}</span>
+          <span class="card-badge${badgeClass}">${badgeText}</span>
           <svg class="card-arrow" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <path d="m9 18 6-6-6-6"/>
           </svg>
         </div>
+        ${notifyLink ? `<a href="${this.escapeHTML(notifyLink)}" class="card-notify" target="_blank" rel="noopener noreferrer">Notify me on WhatsApp</a>` : ''}
       </div>
     </div>
   `;
 }
 
+// Card text for a product: its Description cell, else a line built from its
+// material, colors and condition (see the detail columns in catalog-schema.js)
+productDescription(item) {
+  const description = readField(item, 'description');
+  if (description) return this.escapeHTML(description);
+  const colors = readField(item, 'colors');
+  const summary = [
+    readField(item, 'material'),
+    colors.length ? colors.join(', ') : '',
+    readField(item, 'condition')
+  ].filter(Boolean).join(' · ');
+  return summary ? this.escapeHTML(summary) : 'Premium product from our luxury collection';
+}
+
+// Short label/value pairs shown under a product card; empty columns are skipped
+productSpecs(item) {
+  const sizes = readField(item, 'sizes');
+  return [
+    { label: 'SKU', value: readField(item, 'sku') },
+    { label: 'Sizes', value: sizes.join(' / ') },
+    { label: 'Dimensions', value: readField(item, 'dimensions') }
+  ]
+    .filter(spec => spec.value)
+    .map(spec => ({ label: spec.label, value: this.escapeHTML(spec.value) }));
+}
+
+// Sheet text is free-form, so it is escaped before going into card markup
+escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Selling price in the current brand's currency; '' when the brand shows no prices
+formatPrice(amount) {
+  const currency = this.data?.brands?.[this.currentBrand]?.currency;
+  if (typeof amount !== 'number' || !currency) return '';
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${currency} ${amount.toLocaleString()}`;
+  }
+}
+
 extractImageConfig(item) {
   console.log('Item data for image config:', item);
   
-  // Extract raw values - only from explicit CSV data
-  const rawAlignment = item.alignment || item.Alignment || item.ALIGNMENT || 
-                      item.image_alignment || item.imageAlignment || item['Image Alignment'];
-  const rawFitting = item.fitting || item.Fitting || item.FITTING || 
-                    item.object_fit || item.objectFit || item['Object Fit'] || 
-                    item.image_fit || item.imageFit || item['Image Fit'];
-  const rawScaling = item.scaling || item.Scaling || item.SCALING || 
-                    item.image_scale || item.imageScale || item['Image Scale'] || 
-                    item.scale || item.Scale;
+  // Extract raw values - only from explicit CSV data, under any schema alias
+  const rawAlignment = readField(item, 'alignment');
+  const rawFitting = readField(item, 'fitting');
+  const rawScaling = readField(item, 'scaling');
   
   // FIXED: Return explicit config or null (for GLOBAL defaults)
   // Items get either their explicit CSV config OR global defaults (cover + center)
@@ -1690,7 +2199,8 @@ getScaleTransform(scaling) {
     const extractBrands = (categoryNode, categoryName) => {
       // categoryNode.children contains the actual brands (Chanel, Gucci, etc.)
       for (const [brandKey, brandItem] of Object.entries(categoryNode.children || {})) {
-        if (!brandItem.isProduct && brandItem.children) {
+        // Brand folders have no `children` in the sharded index until their shard loads
+        if (!brandItem.isProduct) {
           const normalizedName = this.normalizeBrandName(brandKey);
           
           if (!brandMap.has(normalizedName)) {
@@ -2024,13 +2534,13 @@ navigateToBrandCategory(brandName, categoryName) {
     this.currentPath = path.split('/').filter(Boolean);
     
     // Update URL
-    const params = new URLSearchParams(window.location.search);
-    params.set('path', path);
+    const params = this.currentURLParams();
+    this.setRouteParams(params, this.currentPath);
     if (this.currentBrand) {
       params.set('brand', this.currentBrand);
     }
     
-    const newURL = `${window.location.pathname}?${params.toString()}`;
+    const newURL = this.routeURL(params);
     window.history.pushState({ 
       path: this.currentPath, 
       brand: this.currentBrand 
@@ -2286,12 +2796,15 @@ navigateToBrandCategory(brandName, categoryName) {
 
     // Card clicks
     document.addEventListener('click', (e) => {
+      // Links inside a card (e.g. "Notify me") open by themselves
+      if (e.target.closest('.card-notify')) return;
       const card = e.target.closest('.content-card, .taxonomy-item');
       if (card) {
         const brand = card.dataset.brand;
         const category = card.dataset.category;
         const isProduct = card.dataset.isProduct === 'true';
         const driveLink = card.dataset.driveLink;
+        const productId = card.dataset.productId;
         const searchPath = card.dataset.searchPath;
         
         // Check if this is a brand category card
@@ -2301,9 +2814,9 @@ navigateToBrandCategory(brandName, categoryName) {
           return;
         }
         
-        if (isProduct && driveLink) {
-          // Open product link
-          this.openProduct(driveLink);
+        if (isProduct && (productId || driveLink)) {
+          // Open the product page (or its Drive folder when it has no ID)
+          this.openProduct(productId, driveLink);
         } else if (searchPath) {
           // Navigate using search path
           this.navigateToPath(searchPath);
@@ -2409,13 +2922,13 @@ resetScrollPosition() {
   this.currentPath = pathSegments;
   
   // Update URL
-  const params = new URLSearchParams(window.location.search);
-  params.set('path', path);
+  const params = this.currentURLParams();
+  this.setRouteParams(params, pathSegments);
   if (this.currentBrand) {
     params.set('brand', this.currentBrand);
   }
   
-  const newURL = `${window.location.pathname}?${params.toString()}`;
+  const newURL = this.routeURL(params);
   window.history.pushState({ 
     path: pathSegments, 
     brand: this.currentBrand 
@@ -2426,11 +2939,166 @@ resetScrollPosition() {
 }
 
 
-  openProduct(driveLink) {
+  openProduct(productId, driveLink) {
+    if (productId) {
+      this.navigateToProduct(productId);
+      return;
+    }
     this.showNotification('Opening product...');
     window.open(driveLink, '_blank', 'noopener,noreferrer');
   }
 
+  navigateToProduct(productId) {
+    this.resetScrollPosition();
+    this.currentProduct = productId;
+
+    const params = this.currentURLParams();
+    this.setRouteParams(params, []);
+    params.set('product', productId);
+    if (this.currentBrand) {
+      params.set('brand', this.currentBrand);
+    }
+
+    const newURL = this.routeURL(params);
+    window.history.pushState({ product: productId, brand: this.currentBrand }, '', newURL);
+
+    this.showProductView();
+  }
+
+  // Product page for ?product=<id>: the node comes from catalog.tree, loading
+  // shards until its ID is found
+  async showProductView() {
+    document.body.setAttribute('data-page-type', 'product');
+    this.resetScrollPosition();
+
+    const productId = this.currentProduct;
+    const keys = await this.resolveRoute(new URLSearchParams({ id: productId }));
+    if (this.currentProduct !== productId) return;
+
+    const parentKeys = keys.slice(0, -1);
+    let siblings = this.data.catalog.tree;
+    parentKeys.forEach(key => { siblings = siblings[key]?.children || {}; });
+    const name = keys[keys.length - 1];
+    const product = siblings[name];
+    if (!product?.isProduct) {
+      this.showNotification('Product not found');
+      this.currentProduct = null;
+      this.navigateToHome();
+      return;
+    }
+    this.currentPath = parentKeys;
+
+    const heroTitle = document.getElementById('heroTitle');
+    if (heroTitle) heroTitle.textContent = name;
+    const heroSubtitle = document.getElementById('heroSubtitle');
+    if (heroSubtitle) heroSubtitle.style.display = 'none';
+    this.addBreadcrumbNavigation(keys.map((key, index) => ({ name: key, path: keys.slice(0, index + 1).join('/') })));
+
+    this.renderProductDetail(name, product, siblings);
+  }
+
+  // Neighbouring products in the folder, in the order the category page shows them
+  getProductNeighbours(name, siblings) {
+    const products = Object.entries(siblings)
+      .filter(([, item]) => item.isProduct && item.id)
+      .sort(([aKey, a], [bKey, b]) => (readField(a, 'topOrder') - readField(b, 'topOrder')) || aKey.localeCompare(bKey));
+    const index = products.findIndex(([key]) => key === name);
+    return {
+      previous: index > 0 ? products[index - 1] : null,
+      next: index >= 0 && index < products.length - 1 ? products[index + 1] : null
+    };
+  }
+
+  // WhatsApp link with a prefilled inquiry naming the product and its page;
+  // with `notify` it asks to hear when a sold-out product is back instead
+  getInquiryLink(name, product, { notify = false, url = window.location.href } = {}) {
+    const brand = this.data.brands?.[this.currentBrand] || {};
+    const whatsappUrl = brand.whatsapp || brand.whatsappUrl || brand['WhatsApp'] || '';
+    if (!whatsappUrl) return '';
+    const sku = readField(product, 'sku');
+    const label = `${name}${sku ? ` (SKU ${sku})` : ''}`;
+    const message = notify
+      ? `Hi! Please let me know when ${label} is back in stock: ${url}`
+      : `Hi! I'm interested in ${label}: ${url}`;
+    return `${whatsappUrl}?text=${encodeURIComponent(message)}`;
+  }
+
+  // Absolute link to a product page, for messages sent from a card
+  productURL(productId) {
+    const params = new URLSearchParams({ product: productId });
+    if (this.currentBrand) params.set('brand', this.currentBrand);
+    return new URL(this.routeURL(params), window.location.href).href;
+  }
+
+  renderProductDetail(name, product, siblings) {
+    const container = document.getElementById('dynamicSections');
+    if (!container) return;
+
+    const title = this.escapeHTML(name);
+    const price = this.formatPrice(product.price);
+    const description = readField(product, 'description');
+    const colors = readField(product, 'colors');
+    const sizes = readField(product, 'sizes');
+    const specs = [
+      { label: 'SKU', value: readField(product, 'sku') },
+      { label: 'Material', value: readField(product, 'material') },
+      { label: 'Colors', value: colors.join(', ') },
+      { label: 'Sizes', value: sizes.join(' / ') },
+      { label: 'Condition', value: readField(product, 'condition') },
+      { label: 'Dimensions', value: readField(product, 'dimensions') },
+      { label: 'Category', value: readField(product, 'category') }
+    ].filter(spec => spec.value);
+
+    const image = product.thumbnail
+      ? `<img src="${this.escapeHTML(product.thumbnail)}" alt="${title}" class="product-detail-img">`
+      : `<span class="product-detail-placeholder">${this.getEmojiForCategory('PRODUCT')}</span>`;
+    const status = readField(product, 'status');
+    const soldOut = status === 'Sold Out';
+    const inquiryLink = this.getInquiryLink(name, product, { notify: soldOut });
+    const { previous, next } = this.getProductNeighbours(name, siblings);
+    const neighbourLink = ([key, item], rel) => `
+          <a href="#" class="product-nav-link product-nav-${rel}" data-product-link="${item.id}">
+            <span class="product-nav-label">${rel === 'previous' ? '← Previous' : 'Next →'}</span>
+            <span class="product-nav-name">${this.escapeHTML(key)}</span>
+          </a>`;
+
+    container.innerHTML = `
+      <section class="content-section product-detail-section">
+        <div class="container">
+          <article class="product-detail">
+            <div class="product-detail-media">${image}</div>
+            <div class="product-detail-info">
+              <h2 class="product-detail-title">${title}</h2>
+              ${status !== 'Available' ? `<p class="product-detail-status card-status-${slugify(status)}">${status}</p>` : ''}
+              ${price && !soldOut ? `<p class="product-detail-price">${price}</p>` : ''}
+              ${description ? `<p class="product-detail-description">${this.escapeHTML(description)}</p>` : ''}
+              ${specs.length ? `
+              <dl class="product-detail-specs">
+                ${specs.map(spec => `<dt>${spec.label}</dt><dd>${this.escapeHTML(spec.value)}</dd>`).join('')}
+              </dl>` : ''}
+              <div class="product-detail-actions">
+                ${product.driveLink ? `<a href="${this.escapeHTML(product.driveLink)}" class="product-action product-action-photos" target="_blank" rel="noopener noreferrer">View all photos</a>` : ''}
+                ${inquiryLink ? `<a href="${this.escapeHTML(inquiryLink)}" class="product-action product-action-inquiry" target="_blank" rel="noopener noreferrer">${soldOut ? 'Notify me on WhatsApp' : 'Ask on WhatsApp'}</a>` : ''}
+              </div>
+            </div>
+          </article>
+          ${previous || next ? `
+          <nav class="product-nav">
+            ${previous ? neighbourLink(previous, 'previous') : '<span></span>'}
+            ${next ? neighbourLink(next, 'next') : ''}
+          </nav>` : ''}
+        </div>
+      </section>
+    `;
+
+    container.querySelectorAll('[data-product-link]').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.navigateToProduct(link.dataset.productLink);
+      });
+    });
+  }
+
   navigateToCategory(category) {
   // FIXED: Reset scroll position first
   this.resetScrollPosition();
@@ -2449,13 +3117,13 @@ resetScrollPosition() {
   this.currentPath = newPath;
   
   // Update URL
-  const params = new URLSearchParams(window.location.search);
-  params.set('path', newPath.join('/'));
+  const params = this.currentURLParams();
+  this.setRouteParams(params, newPath);
   if (this.currentBrand) {
     params.set('brand', this.currentBrand);
   }
   
-  const newURL = `${window.location.pathname}?${params.toString()}`;
+  const newURL = this.routeURL(params);
   window.history.pushState({ 
     category, 
     brand: this.currentBrand, 
@@ -2466,8 +3134,8 @@ resetScrollPosition() {
   this.showCategoryView();
 }
   // Force brand refresh when URL changes
-  handleBrandNavigation() {
-    const urlParams = new URLSearchParams(window.location.search);
+  async handleBrandNavigation() {
+    const urlParams = this.currentURLParams();
     const urlBrand = urlParams.get('brand');
     
     if (urlBrand && urlBrand !== this.currentBrand) {
@@ -2479,10 +3147,24 @@ resetScrollPosition() {
       }
     }
     
-    // Handle path changes
-    const pathFromURL = urlParams.get('path');
-    if (pathFromURL) {
-      this.currentPath = pathFromURL.split('/').filter(Boolean);
+    // Another brand's storefront: swap in its catalog view
+    if (this.data && this.scopedBrand !== this.currentBrand) {
+      if (!(await this.applyBrandScope())) return;
+      this.setupBrands();
+    }
+
+    // Handle product and path changes
+    if (this.currentProduct) {
+      this.showProductView();
+      return;
+    }
+    if (urlParams.get('q')) {
+      this.showSearchView(urlParams.get('q'));
+      return;
+    }
+    const route = await this.resolveRoute(urlParams);
+    if (route.length > 0) {
+      this.currentPath = route;
       this.showCategoryView();
     } else {
       this.currentPath = [];
@@ -2502,12 +3184,37 @@ resetScrollPosition() {
 }
 
   // Enhanced search functionality
-  handleSearch(query) {
-    if (!query.trim()) return;
-    
+  async handleSearch(query) {
+    query = query.trim();
+    if (!query) return;
+
+    // The query lives in the URL (q=) so results can be shared; a new search
+    // starts without filters
+    const params = this.currentURLParams();
+    this.setRouteParams(params, []);
+    params.delete('f');
+    params.set('q', query);
+    if (this.currentBrand) params.set('brand', this.currentBrand);
+    window.history.pushState({ query, brand: this.currentBrand }, '', this.routeURL(params));
+    await this.showSearchView(query);
+  }
+
+  // Results for the URL's search query
+  async showSearchView(query) {
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) searchInput.value = query;
     this.showNotification(`Searching for "${query}"...`);
+
+    // Search covers every category, so every shard is needed
+    try {
+      await this.loadAllShards();
+    } catch (error) {
+      this.showNotification('Some categories could not be searched');
+    }
     
     // Actual search implementation
+    // Another search or route may have taken over while shards loaded
+    if (this.currentURLParams().get('q') !== query) return;
     const results = this.performSearch(query.toLowerCase());
     this.displaySearchResults(results, query);
   }
@@ -2520,15 +3227,20 @@ resetScrollPosition() {
         const currentPath = [...path, key];
         
         // Check if current item matches search
+        // Products also match on their SKU, material and colors
+        const details = item.isProduct ? [item.sku, item.material, ...(item.colors || [])] : [];
         if (key.toLowerCase().includes(query) || 
-            (item.title && item.title.toLowerCase().includes(query))) {
+            (item.title && item.title.toLowerCase().includes(query)) ||
+            details.some(value => value && String(value).toLowerCase().includes(query))) {
           results.push({
             name: key,
             path: currentPath.join('/'),
             isProduct: item.isProduct,
             count: item.count,
             thumbnail: item.thumbnail,
-            driveLink: item.driveLink
+            driveLink: item.driveLink,
+            price: item.price,
+            node: item
           });
         }
         
@@ -2549,31 +3261,50 @@ resetScrollPosition() {
   displaySearchResults(results, query) {
     const container = document.getElementById('dynamicSections');
     if (!container) return;
+    const safeQuery = this.escapeHTML(query);
+
+    // Facets cover the products found and those under the folders found
+    const active = this.activeFacets();
+    const products = new Map();
+    results.forEach(result => {
+      const keys = result.path.split('/');
+      const found = result.isProduct ? [{ node: result.node, keys }] : this.subtreeProducts(result.node.children, keys);
+      found.forEach(product => products.set(product.node, product));
+    });
+    const matchCount = (result) => this.matchCount(result.node, result.path.split('/'), active);
+    const shown = active.size ? results.filter(result => matchCount(result) > 0) : results;
+    const facetHTML = this.facetPanelHTML(this.facetCounts([...products.values()], active), active);
     
-    if (results.length === 0) {
+    if (shown.length === 0) {
       container.innerHTML = `
         <section class="content-section">
           <div class="container">
+            ${facetHTML}
             <div class="section-header">
               <h2 class="section-title">No Results Found</h2>
-              <p class="section-description">No items found for "${query}". Try different keywords.</p>
+              <p class="section-description">${results.length ? `No results for "${safeQuery}" match these filters.` : `No items found for "${safeQuery}". Try different keywords.`}</p>
             </div>
           </div>
         </section>
       `;
+      this.bindFacetPanel(container, () => this.displaySearchResults(results, query));
       return;
     }
     
-    const gridClass = this.getGridClass(results.length);
-    const resultsHTML = results.map(result => ({
+    const gridClass = this.getGridClass(shown.length);
+    const resultsHTML = shown.map(result => ({
       key: result.name,
       title: result.name.replace(/_/g, ' '),
-      description: result.isProduct ? 'Premium product' : `${result.count || 0} items`,
-      count: result.count || (result.isProduct ? 1 : 0),
+      description: result.isProduct ? this.productDescription(result.node) : `${matchCount(result)} items`,
+      specs: result.isProduct ? this.productSpecs(result.node) : [],
+      count: result.isProduct ? 1 : matchCount(result),
       thumbnail: result.thumbnail || this.getEmojiForCategory(result.name),
       isProduct: result.isProduct,
       searchPath: result.path,
-      driveLink: result.driveLink
+      id: result.node?.id,
+      driveLink: result.driveLink,
+      price: result.price,
+      status: result.isProduct ? readField(result.node, 'status') : ''
     }));
     
     container.innerHTML = `
@@ -2581,14 +3312,16 @@ resetScrollPosition() {
         <div class="container">
           <div class="section-header">
             <h2 class="section-title">Search Results</h2>
-            <p class="section-description">Found ${results.length} result${results.length === 1 ? '' : 's'} for "${query}"</p>
+            <p class="section-description">Found ${shown.length} result${shown.length === 1 ? '' : 's'} for "${safeQuery}"</p>
           </div>
+          ${facetHTML}
           <div class="cards-grid ${gridClass}">
             ${resultsHTML.map(item => this.createCardHTML(item)).join('')}
           </div>
         </div>
       </section>
     `;
+    this.bindFacetPanel(container, () => this.displaySearchResults(results, query));
     
     // Hide taxonomy section during search
     // Show brands and slideshow sections
@@ -3009,6 +3742,20 @@ const preloadImages = () => {
     }, 3000);
   }
 
+  // Catalog data that cannot be read replaces the page content with the reason
+  showDataError(error) {
+    console.error(`❌ ${error.message}`);
+    const container = document.getElementById('dynamicSections');
+    if (container) {
+      container.innerHTML = `
+        <section class="data-error" role="alert">
+          <h2 class="data-error-title">The catalog could not be loaded</h2>
+          <p class="data-error-message">${this.escapeHTML(error.message)}</p>
+        </section>
+      `;
+    }
+  }
+
   showLoading() {
     this.isLoading = true;
     document.body.classList.add('loading');
@@ -3027,7 +3774,7 @@ function initializeApp() {
   app.init().then(() => {
     // Force brand refresh after initialization
     setTimeout(() => {
-      const urlParams = new URLSearchParams(window.location.search);
+      const urlParams = app.currentURLParams();
       const urlBrand = urlParams.get('brand');
       if (urlBrand) {
         app.currentBrand = urlBrand;
@@ -3042,7 +3789,7 @@ function initializeApp() {
   
   // Monitor URL changes for brand switching
   window.addEventListener('popstate', () => {
-    const urlParams = new URLSearchParams(window.location.search);
+    const urlParams = app.currentURLParams();
     const urlBrand = urlParams.get('brand');
     if (urlBrand && app.data && app.data.brands[urlBrand]) {
       app.currentBrand = urlBrand;
@@ -0,0 +1,68 @@
+// dev-client.js - Injected into pages served by tools/dev-server.mjs
+// ============================================================================
+//
+// Reloads the page after each rebuild (the URL, and with it ?brand= and the
+// current route, is kept) and lists the build's warnings and errors in an
+// overlay. Dismissing the overlay hides it until the next build.
+
+(() => {
+  const DISMISSED_KEY = 'devOverlayDismissed';
+  let overlay = null;
+
+  function escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  function render(status) {
+    const problems = [
+      ...status.errors.map(message => ({ level: 'error', message })),
+      ...status.warnings.map(message => ({ level: 'warning', message }))
+    ];
+    const dismissed = sessionStorage.getItem(DISMISSED_KEY) === String(status.id);
+
+    if (!problems.length || dismissed) {
+      overlay?.remove();
+      overlay = null;
+      return;
+    }
+
+    if (!overlay) {
+      overlay = document.createElement('aside');
+      overlay.style.cssText = `
+        position: fixed; right: 16px; bottom: 16px; z-index: 100000;
+        width: min(560px, calc(100vw - 32px)); max-height: 45vh; overflow: auto;
+        background: #1f2937; color: #f9fafb; border-radius: 12px;
+        box-shadow: 0 12px 32px rgba(0, 0, 0, 0.35);
+        font: 13px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace;
+      `;
+      document.body.appendChild(overlay);
+    }
+
+    const title = status.errors.length
+      ? `❌ ${status.errors.length} error(s), ${status.warnings.length} warning(s)`
+      : `⚠️ ${status.warnings.length} warning(s)`;
+    overlay.innerHTML = `
+      <header style="display:flex;justify-content:space-between;align-items:center;padding:10px 14px;border-bottom:1px solid #374151;position:sticky;top:0;background:#1f2937;">
+        <strong>${title}</strong>
+        <button type="button" data-dev-dismiss style="background:none;border:0;color:#9ca3af;font-size:18px;cursor:pointer;" aria-label="Dismiss">×</button>
+      </header>
+      <ul style="list-style:none;margin:0;padding:8px 14px;">
+        ${problems.map(p => `<li style="padding:4px 0;color:${p.level === 'error' ? '#fca5a5' : '#fde68a'};">${escapeHTML(p.message)}</li>`).join('')}
+      </ul>
+    `;
+    overlay.querySelector('[data-dev-dismiss]').addEventListener('click', () => {
+      sessionStorage.setItem(DISMISSED_KEY, String(status.id));
+      render(status);
+    });
+  }
+
+  const events = new EventSource('/__dev/events');
+  events.addEventListener('status', (e) => {
+    const status = JSON.parse(e.data);
+    if (!status.building) render(status);
+  });
+  events.addEventListener('reload', () => window.location.reload());
+})();
@@ -0,0 +1,288 @@
+// dev-server.mjs - Local preview: serve public/, rebuild on CSV or thumbnail changes, live reload
+//
+//   npm run dev -- --source ./sheets        (reads sheets/brands.csv + sheets/master.csv [+ sections.csv])
+//   BRANDS_CSV_PATH=… MASTER_CSV_PATH=… npm run dev
+//
+// The catalog is built in memory with buildCatalog() and served in place of
+// public/data.json, public/catalog/ and the entry pages under public/shop/, so
+// previews never touch the published files. Saving a CSV re-reads only that
+// file; adding or renaming images under public/thumbs rescans the thumbnail index. Open pages reload themselves
+// (keeping their ?brand= and route) and show the build's warnings in an overlay.
+// `--collapse-duplicates` previews the catalog with duplicate products merged.
+import fs from "node:fs/promises";
+import { watch } from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { formatWarning } from "./lib/csv.mjs";
+import { loadPolicy } from "./lib/policy.mjs";
+import { scanThumbs } from "./lib/thumbs.mjs";
+import { SHARD_DIR } from "./lib/shards.mjs";
+import { buildCatalog } from "./lib/catalog.mjs";
+import { PAGES_DIR } from "./lib/pages.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, "..");
+const PUBLIC_DIR = path.join(ROOT, "public");
+const THUMBS_DIR = path.join(PUBLIC_DIR, "thumbs");
+const CLIENT_SCRIPT = path.join(__dirname, "dev-client.js");
+
+function argValue(name) {
+  const args = process.argv.slice(2);
+  const i = args.findIndex((a) => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (i === -1) return "";
+  return args[i].includes("=") ? args[i].split("=").slice(1).join("=") : (args[i + 1] || "");
+}
+
+// Same local sources as the build; live sheet URLs cannot be watched
+const SOURCE_DIR = argValue("source");
+const CSV_PATHS = {
+  brands: SOURCE_DIR ? path.join(SOURCE_DIR, "brands.csv") : process.env.BRANDS_CSV_PATH,
+  master: SOURCE_DIR ? path.join(SOURCE_DIR, "master.csv") : process.env.MASTER_CSV_PATH,
+  // Optional; watched so creating it takes effect too
+  sections: SOURCE_DIR ? path.join(SOURCE_DIR, "sections.csv") : process.env.SECTIONS_CSV_PATH,
+};
+const PORT = Number(argValue("port") || process.env.PORT || 5173);
+const POLICY_FILE = argValue("policy") || process.env.QUALITY_POLICY_FILE || "";
+const PLACEHOLDER_THUMB = (process.env.PLACEHOLDER_THUMB || "/thumbs/_placeholder.webp").trim();
+const COLLAPSE_DUPLICATES = process.argv.includes("--collapse-duplicates") || /^(1|true|yes)$/i.test(process.env.COLLAPSE_DUPLICATES || "");
+const DEBOUNCE_MS = 150;
+// Build output outside the shard and entry-page directories
+const BUILD_FILES = ["/data.json", "/sitemap.xml", "/robots.txt"];
+
+if (!CSV_PATHS.brands || !CSV_PATHS.master) {
+  console.error("❌ The dev server watches local CSV files: pass --source <dir> or set BRANDS_CSV_PATH and MASTER_CSV_PATH");
+  process.exit(1);
+}
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".woff2": "font/woff2",
+};
+
+// Latest build: served files (URL path → text) plus what the overlay shows
+const state = {
+  csv: {},
+  thumbIndex: null,
+  data: null,
+  files: new Map(),
+  // Stamped into every rebuild so output only differs when the catalog does;
+  // moved on once a publishing window opens or closes (schedule.nextChange)
+  buildTime: null,
+  nextChange: null,
+  status: { id: 0, ok: false, building: true, warnings: [], errors: [], builtAt: null },
+};
+const clients = new Set();
+
+function broadcast(event, payload) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const res of clients) res.write(message);
+}
+
+async function readCSV(label) {
+  if (!CSV_PATHS[label]) return;
+  const file = path.resolve(CSV_PATHS[label]);
+  try {
+    state.csv[label] = { text: await fs.readFile(file, "utf8"), name: path.basename(file), origin: { kind: "file", location: file } };
+  } catch (err) {
+    if (label !== "sections" || err.code !== "ENOENT") throw err;
+    state.csv[label] = null;
+  }
+}
+
+async function rebuild({ csv = [], thumbs = false } = {}) {
+  const started = Date.now();
+  state.status = { ...state.status, building: true };
+  broadcast("status", state.status);
+
+  try {
+    for (const label of csv) await readCSV(label);
+    if (thumbs || !state.thumbIndex) state.thumbIndex = await scanThumbs(THUMBS_DIR);
+
+    if (!state.buildTime || (state.nextChange && Date.now() >= Date.parse(state.nextChange))) {
+      state.buildTime = new Date().toISOString();
+    }
+
+    const policy = await loadPolicy({
+      file: POLICY_FILE || path.join(ROOT, "quality-policy.json"),
+      required: !!POLICY_FILE,
+      env: process.env,
+    });
+    const result = await buildCatalog({
+      brandsCsv: state.csv.brands,
+      masterCsv: state.csv.master,
+      sectionsCsv: state.csv.sections,
+      thumbsDir: THUMBS_DIR,
+      options: {
+        policy,
+        previous: state.data && { data: state.data, location: "previous dev build" },
+        buildTime: state.buildTime,
+        placeholderThumb: PLACEHOLDER_THUMB,
+        thumbIndex: state.thumbIndex,
+        pageTemplate: await fs.readFile(path.join(PUBLIC_DIR, "index.html"), "utf8"),
+        siteUrl: `http://localhost:${PORT}`,
+        collapseDuplicates: COLLAPSE_DUPLICATES,
+        log: () => {},
+      },
+    });
+
+    const files = new Map([["/data.json", JSON.stringify(result.data, null, 2)]]);
+    result.files.forEach(({ file, text }) => files.set(`/${file}`, text));
+    const changed = [...files].filter(([url, text]) => state.files.get(url) !== text).length
+      + [...state.files.keys()].filter((url) => !files.has(url)).length;
+
+    state.data = result.data;
+    state.files = files;
+    state.nextChange = result.report.schedule?.nextChange || null;
+    state.status = {
+      id: state.status.id + 1,
+      ok: result.errors.length === 0,
+      building: false,
+      warnings: result.warnings.map(formatWarning),
+      errors: result.errors.map(formatWarning),
+      builtAt: new Date().toISOString(),
+    };
+
+    const { counts } = result.changes;
+    console.log(`🔁 Built in ${Date.now() - started} ms: ${result.data.catalog.totalProducts} products, ${changed} file(s) changed, `
+      + `${state.status.warnings.length} warning(s), ${state.status.errors.length} error(s)`
+      + (counts ? ` · +${counts.added} −${counts.removed} ~${counts.changed + counts.moved + counts.renamed}` : ""));
+    broadcast("status", state.status);
+    if (changed || thumbs) broadcast("reload", { id: state.status.id });
+  } catch (err) {
+    // Keep serving the last good build; the overlay shows what broke
+    console.error(`💥 Build failed: ${err.message}`);
+    state.status = {
+      ...state.status,
+      id: state.status.id + 1,
+      ok: false,
+      building: false,
+      errors: [`Build failed: ${err.message}`],
+      builtAt: new Date().toISOString(),
+    };
+    broadcast("status", state.status);
+  }
+}
+
+// Changes arrive in bursts (editors save via temp files, image exports touch
+// many files), so they are collected and built once things go quiet
+let pending = { csv: new Set(), thumbs: false };
+let timer = null;
+let running = Promise.resolve();
+function schedule(change) {
+  if (change.csv) pending.csv.add(change.csv);
+  if (change.thumbs) pending.thumbs = true;
+  clearTimeout(timer);
+  timer = setTimeout(() => {
+    const next = { csv: [...pending.csv], thumbs: pending.thumbs };
+    pending = { csv: new Set(), thumbs: false };
+    running = running.then(() => rebuild(next));
+  }, DEBOUNCE_MS);
+}
+
+function watchSources() {
+  // Watch each CSV's directory: editors often replace the file rather than write to it
+  const byDir = new Map();
+  for (const [label, file] of Object.entries(CSV_PATHS)) {
+    if (!file) continue;
+    const dir = path.dirname(path.resolve(file));
+    if (!byDir.has(dir)) byDir.set(dir, new Map());
+    byDir.get(dir).set(path.basename(file), label);
+  }
+  for (const [dir, names] of byDir) {
+    watch(dir, (event, filename) => {
+      const label = names.get(String(filename));
+      if (label) schedule({ csv: label });
+    });
+  }
+  try {
+    watch(THUMBS_DIR, { recursive: true }, () => schedule({ thumbs: true }));
+  } catch (err) {
+    console.warn(`⚠️  Not watching ${path.relative(ROOT, THUMBS_DIR)}: ${err.message}`);
+  }
+}
+
+function send(res, status, body, type) {
+  res.writeHead(status, { "Content-Type": type, "Cache-Control": "no-store" });
+  res.end(body);
+}
+
+function withDevClient(html) {
+  return html.replace("</body>", '  <script src="/__dev/client.js"></script>\n</body>');
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch {
+    return send(res, 400, "Bad request", "text/plain");
+  }
+
+  if (pathname === "/__dev/events") {
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-store", Connection: "keep-alive" });
+    res.write(`event: status\ndata: ${JSON.stringify(state.status)}\n\n`);
+    clients.add(res);
+    req.on("close", () => clients.delete(res));
+    return;
+  }
+  if (pathname === "/__dev/client.js") {
+    return send(res, 200, await fs.readFile(CLIENT_SCRIPT, "utf8"), CONTENT_TYPES[".js"]);
+  }
+
+  // Build output comes from memory, never from the published files on disk;
+  // until a build has succeeded there is none to serve
+  const target = pathname.endsWith("/") ? `${pathname}index.html` : pathname;
+  const buildOutput = BUILD_FILES.includes(target) || pathname.startsWith(`/${SHARD_DIR}/`) || pathname.startsWith(`/${PAGES_DIR}/`);
+  if (buildOutput && !state.files.size) return send(res, 503, "No successful build yet: see the dev server output", "text/plain");
+  if (state.files.has(target)) {
+    const ext = path.extname(target).toLowerCase();
+    const body = state.files.get(target);
+    return send(res, 200, ext === ".html" ? withDevClient(body) : body, CONTENT_TYPES[ext] || "text/plain; charset=utf-8");
+  }
+  if (pathname.startsWith(`/${SHARD_DIR}/`) || pathname.startsWith(`/${PAGES_DIR}/`)) return send(res, 404, "Not found", "text/plain");
+
+  const file = path.join(PUBLIC_DIR, target);
+  if (!file.startsWith(PUBLIC_DIR + path.sep)) return send(res, 403, "Forbidden", "text/plain");
+  let body;
+  try {
+    body = await fs.readFile(file);
+  } catch {
+    return send(res, 404, "Not found", "text/plain");
+  }
+
+  const ext = path.extname(file).toLowerCase();
+  if (ext === ".html") body = withDevClient(body.toString("utf8"));
+  send(res, 200, body, CONTENT_TYPES[ext] || "application/octet-stream");
+}
+
+(async () => {
+  console.log("🚀 Starting catalog dev server...");
+  await rebuild({ csv: ["brands", "master", "sections"], thumbs: true });
+  watchSources();
+
+  http.createServer((req, res) => {
+    handle(req, res).catch((err) => send(res, 500, err.message, "text/plain"));
+  }).listen(PORT, () => {
+    console.log(`👀 Watching ${CSV_PATHS.brands}, ${CSV_PATHS.master} and ${path.relative(ROOT, THUMBS_DIR)}/`);
+    console.log(`🌐 http://localhost:${PORT}/`);
+  });
+})().catch((err) => {
+  console.error("💥 Dev server failed:", err);
+  process.exit(1);
+});
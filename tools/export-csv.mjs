@@ -0,0 +1,91 @@
+// export-csv.mjs - Write brands, master and sections CSVs back out of a published data.json
+//
+//   npm run export -- [data.json path or URL] [--out build/export] [--annotate]
+//
+// Reads public/data.json when nothing is given, writes <out>/brands.csv and
+// <out>/master.csv, plus <out>/sections.csv when brands have homepage sections
+// (the layout `npm run build -- --source <out>` reads), and checks that
+// building them gives the same tree. --annotate adds
+// "<column> (built)" columns with thumbnails, IDs and image config the build
+// fills in by itself. Exits non-zero when the round trip is not exact.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { exportCatalog } from "./lib/export.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, "..");
+const PUBLIC_DIR = path.join(ROOT, "public");
+
+function argValue(name) {
+  const args = process.argv.slice(2);
+  const i = args.findIndex((a) => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (i === -1) return "";
+  return args[i].includes("=") ? args[i].split("=").slice(1).join("=") : (args[i + 1] || "");
+}
+
+// First argument that is neither a flag nor a flag's value
+function positional() {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) {
+      if (!args[i].includes("=") && args[i] !== "--annotate") i++;
+      continue;
+    }
+    return args[i];
+  }
+  return "";
+}
+
+const INPUT = positional() || path.join(PUBLIC_DIR, "data.json");
+const OUT_DIR = path.resolve(argValue("out") || path.join(ROOT, "build", "export"));
+const ANNOTATE = process.argv.includes("--annotate");
+const PLACEHOLDER_THUMB = (process.env.PLACEHOLDER_THUMB || "/thumbs/_placeholder.webp").trim();
+
+// Paths inside the repo are shown relative to it
+const display = (p) => (p.startsWith(ROOT + path.sep) ? path.relative(ROOT, p) : p);
+
+(async () => {
+  console.log(`📤 Exporting ${/^https?:\/\//.test(INPUT) ? INPUT : display(path.resolve(INPUT))}...`);
+  const text = /^https?:\/\//.test(INPUT)
+    ? await fetch(INPUT).then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.text();
+      })
+    : await fs.readFile(path.resolve(INPUT), "utf8");
+
+  const result = await exportCatalog(JSON.parse(text), {
+    thumbsDir: path.join(PUBLIC_DIR, "thumbs"),
+    placeholderThumb: PLACEHOLDER_THUMB,
+    annotate: ANNOTATE,
+  });
+
+  await fs.mkdir(OUT_DIR, { recursive: true });
+  await fs.writeFile(path.join(OUT_DIR, "brands.csv"), result.brandsCsv, "utf8");
+  await fs.writeFile(path.join(OUT_DIR, "master.csv"), result.masterCsv, "utf8");
+  // A sections.csv left by an earlier export would be picked up by --source
+  if (result.sectionsCsv) await fs.writeFile(path.join(OUT_DIR, "sections.csv"), result.sectionsCsv, "utf8");
+  else await fs.rm(path.join(OUT_DIR, "sections.csv"), { force: true });
+
+  const pinned = Object.entries(result.pinned).filter(([, count]) => count).map(([key, count]) => `${key} ${count}`);
+  console.log("\n## 📤 CSV Export");
+  console.log(`- **Brands:** ${result.brands} → ${display(path.join(OUT_DIR, "brands.csv"))}`);
+  console.log(`- **Master rows:** ${result.rows} → ${display(path.join(OUT_DIR, "master.csv"))}`);
+  if (result.sectionsCsv) console.log(`- **Homepage sections:** ${display(path.join(OUT_DIR, "sections.csv"))}`);
+  console.log(`- **Cells pinned to match the build:** ${pinned.length ? pinned.join(", ") : "none"}`);
+  console.log(`- **Round trip:** ${result.differences.length ? `❌ ${result.differences.length} difference(s)` : "✅ same tree"} after ${result.passes} build(s)`);
+  result.lost.forEach((note) => console.log(`  ℹ️  ${note}`));
+
+  if (result.differences.length) {
+    console.log(`\n⚠️  Rebuilding the export does not give the same catalog:`);
+    result.differences.slice(0, 50).forEach((d) => {
+      const where = [d.path, d.field].filter(Boolean).join(" → ") || "catalog";
+      console.log(`  - ${where}: expected ${JSON.stringify(d.expected)}, got ${JSON.stringify(d.actual)}`);
+    });
+    if (result.differences.length > 50) console.log(`  … and ${result.differences.length - 50} more`);
+    process.exit(1);
+  }
+})().catch((err) => {
+  console.error("💥 Export failed:", err.message);
+  process.exit(1);
+});
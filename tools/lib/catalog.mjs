@@ -0,0 +1,1213 @@
+// catalog.mjs - Build the catalog (data.json, health report, summary) in memory
+//
+// buildCatalog() turns the brands and master CSVs into the same tree, report
+// and storefront files the production build publishes, without touching the
+// disk beyond reading public/thumbs. tools/build-data.mjs is the CLI over it:
+// it loads the CSVs, writes the files and sets the exit code. Preview tools
+// and validators call buildCatalog() directly.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { parseCSV, stringifyCSV, rowLocation } from "./csv.mjs";
+import { diffCatalogs, describeChanges } from "./diff.mjs";
+import { scanThumbs, findThumb, suggestThumb } from "./thumbs.mjs";
+import { loadPolicy, evaluatePolicy } from "./policy.mjs";
+import { shardCatalog, SHARD_DIR } from "./shards.mjs";
+import { sellingPrice, priceCatalog } from "./pricing.mjs";
+import { parseDriveLink, DRIVE_LINK_TYPES, DRIVE_LINK_PROBLEMS } from "./drive.mjs";
+import { renderPages, PAGES_DIR } from "./pages.mjs";
+import { findDuplicates, collapseDuplicates, DUPLICATE_SIGNALS } from "./duplicates.mjs";
+import { readSections, brandSections } from "./sections.mjs";
+import { applySchedule } from "./schedule.mjs";
+import { BRAND_COLUMNS, MASTER_COLUMNS, SECTION_COLUMNS, readColumn, describeColumns, slugify } from "../../public/catalog-schema.js";
+import { parseScope, resolveScope, scopeCatalog, statusCountsOf } from "../../public/catalog-scope.js";
+import { DATA_SCHEMA_VERSION, DataSchemaError, validateData } from "../../public/data-schema.js";
+
+// Optional master columns copied onto product nodes when filled in
+const DETAIL_COLUMNS = ["sku", "material", "colors", "sizes", "condition", "dimensions", "description"];
+
+function normPath(p) {
+  if (!p) return "";
+  const parts = p.replace(/\\/g, "/").split("/").map(s => s.trim()).filter(Boolean);
+  if (parts.length === 0) return "";
+  parts[0] = parts[0].toUpperCase();
+  return parts.join("/");
+}
+
+function toThumbSitePath(rel) {
+  if (!rel) return "";
+  let p = rel.replace(/\\/g, "/").replace(/^\/+/, "");
+  
+  if (!p.startsWith("thumbs/")) {
+    p = "thumbs/" + p;
+  }
+  
+  return "/" + p;
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text, "utf8").digest("hex");
+}
+
+// Whether a "/thumbs/..." site path exists under thumbsDir
+async function fileExists(thumbsDir, sitePath) {
+  try {
+    await fs.access(path.join(thumbsDir, sitePath.replace(/^\/?thumbs\//, "")));
+    return true;
+  } catch { 
+    return false; 
+  }
+}
+
+function ensureFolderNode(tree, segs) {
+  let node = tree;
+  for (const seg of segs) {
+    node[seg] = node[seg] || { thumbnail: "", children: {} };
+    node = node[seg].children;
+  }
+  return node;
+}
+
+// Products under a folder, and how many of them carry each Status other than
+// Available (statusCounts, only when there are any)
+function setCounts(node) {
+  if (node.isProduct) return 1;
+  let sum = 0;
+  const statusCounts = {};
+  for (const k of Object.keys(node.children || {})) {
+    const child = node.children[k];
+    sum += setCounts(child);
+    for (const [status, n] of Object.entries(statusCountsOf(child))) statusCounts[status] = (statusCounts[status] || 0) + n;
+  }
+  node.count = sum;
+  if (Object.keys(statusCounts).length) node.statusCounts = statusCounts;
+  return sum;
+}
+
+function propagateThumbsFromChildren(node, currentDepth = 0, log = console.log) {
+  for (const k of Object.keys(node)) {
+    const n = node[k];
+    if (!n.isProduct && n.children) {
+      propagateThumbsFromChildren(n.children, currentDepth + 1, log);
+      
+      // FIXED: Only inherit for folder display at depth 2+ (BrandsFolders level)
+      // Level 0: Homepage categories (BAGS, SHOES) - NO inheritance
+      // Level 1: Brand folders (Chanel, Gucci) - NO inheritance  
+      // Level 2+: Brand subfolders - YES inheritance for FOLDER display only
+      const shouldInherit = currentDepth >= 2;
+      
+      if (!n.thumbnail && shouldInherit) {
+        const childKeys = Object.keys(n.children);
+        for (const ckey of childKeys) {
+          const child = n.children[ckey];
+          if (child.thumbnail) {
+            n.thumbnail = child.thumbnail;
+            
+            // INHERIT image config for FOLDER display only
+            // This is ONLY for how the folder itself looks, NOT for child items
+            if (child.alignment && child.alignment.trim() !== '') {
+              n.alignment = child.alignment;
+            }
+            if (child.fitting && child.fitting.trim() !== '') {
+              n.fitting = child.fitting;
+            }
+            if (child.scaling && child.scaling.trim() !== '') {
+              n.scaling = child.scaling;
+            }
+            
+            log(`📸 FOLDER DISPLAY inheritance for ${k} at depth ${currentDepth} from child ${ckey}: alignment=${n.alignment || 'default'}, fitting=${n.fitting || 'default'}, scaling=${n.scaling || 'default'}`);
+            break;
+          }
+        }
+      }
+    }
+  }
+}
+
+function fillMissingThumbsFromAncestors(node, placeholder, inheritedThumb = "", currentDepth = 0) {
+  for (const k of Object.keys(node)) {
+    const n = node[k];
+    
+    // Only inherit thumbnails for display purposes
+    const currentThumb = n.thumbnail || inheritedThumb || placeholder || "";
+    if (!n.thumbnail && currentThumb) n.thumbnail = currentThumb;
+    
+    // CRITICAL: Do NOT inherit image configuration to children
+    // Children without explicit CSV config should use GLOBAL defaults (cover + center)
+    // Children WITH explicit CSV config should keep their config
+    // Only folders inherit for their own display, never pass it down to children
+    
+    if (!n.isProduct && n.children) {
+      // Pass only thumbnail to children, never image config
+      fillMissingThumbsFromAncestors(n.children, placeholder, currentThumb, currentDepth + 1);
+    }
+  }
+}
+
+// CSV input: plain text, or a loaded source with its file name and origin
+function toSource(input, label) {
+  if (typeof input === "string") return { text: input, name: `${label}.csv`, origin: { kind: "memory", location: `${label}.csv` } };
+  return { name: `${label}.csv`, origin: { kind: "memory", location: input.name || `${label}.csv` }, ...input };
+}
+
+/**
+ * Build the catalog from the brands and master CSVs.
+ * @param {object} input
+ * @param {string|{ text: string, name?: string, origin?: object }} input.brandsCsv
+ * @param {string|{ text: string, name?: string, origin?: object }} input.masterCsv
+ *   origin ({ kind, location, ... }) is recorded in the report's sources
+ * @param {string|{ text: string, name?: string, origin?: object }} [input.sectionsCsv]
+ *   Optional homepage sections sheet (see tools/lib/sections.mjs)
+ * @param {string} [input.thumbsDir] - public/thumbs; without it thumbnails are
+ *   neither auto-resolved nor checked
+ * @param {object} [input.options]
+ * @param {object} [input.options.policy] - Result of loadPolicy() (default: report only)
+ * @param {{ data?: object, reason?: string, location: string }} [input.options.previous] - Baseline
+ *   for the change report; without data, reason says why there is none
+ * @param {string} [input.options.buildTime] - ISO time stamped into data.json and
+ *   checked against PublishFrom/PublishUntil
+ * @param {string} [input.options.placeholderThumb] - Thumbnail for nodes with none
+ * @param {string} [input.options.fix] - Output name for a master CSV with thumbnail
+ *   repairs applied; when set the corrected text is returned as fixedMasterCsv
+ * @param {object} [input.options.thumbIndex] - scanThumbs(thumbsDir) result to reuse
+ *   (watch mode rescans only when thumbnails change)
+ * @param {string} [input.options.pageTemplate] - public/index.html; when set, a
+ *   pre-rendered entry page is emitted for every brand, category and product
+ * @param {string} [input.options.siteUrl] - Public origin for canonical and og: URLs and sitemap.xml
+ * @param {boolean} [input.options.collapseDuplicates] - Merge duplicate products linked
+ *   by Drive link or image bytes into one product with `aliases`
+ * @param {Function} [input.options.log] - Progress logger (console.log)
+ * @returns {Promise<{ data: object, report: object, summary: string, changes: object,
+ *   files: { file: string, text: string }[], fixedMasterCsv: string|null,
+ *   warnings: object[], errors: object[], exitCode: number }>}
+ *   files are the sharded index, shards, brand views and entry pages, relative to public/;
+ *   exitCode is non-zero when the quality policy failed
+ */
+export async function buildCatalog({ brandsCsv, masterCsv, sectionsCsv = null, thumbsDir = "", options = {} }) {
+  const {
+    policy = await loadPolicy(),
+    previous = null,
+    buildTime = new Date().toISOString(),
+    placeholderThumb = "/thumbs/_placeholder.webp",
+    fix = "",
+    thumbIndex: cachedThumbIndex = null,
+    pageTemplate = "",
+    siteUrl = "",
+    collapseDuplicates: collapse = false,
+    log = console.log,
+  } = options;
+
+  const brandsSource = toSource(brandsCsv, "brands");
+  const masterSource = toSource(masterCsv, "master");
+  const sectionsSource = sectionsCsv && toSource(sectionsCsv, "sections");
+  const sources = {};
+  for (const [key, src] of [["brands", brandsSource], ["master", masterSource], ["sections", sectionsSource]]) {
+    if (!src) continue;
+    sources[key] = { ...src.origin, sha256: sha256(src.text), bytes: Buffer.byteLength(src.text, "utf8") };
+    log(`  📄 ${key}: ${src.origin.kind} ${src.origin.location} (sha256 ${sources[key].sha256.slice(0, 12)}…)`);
+  }
+
+  const brandsParsed = parseCSV(brandsSource.text, brandsSource.name);
+  const masterParsed = parseCSV(masterSource.text, masterSource.name);
+  const brandsRows = brandsParsed.rows;
+  const masterRows = masterParsed.rows;
+  const sectionsParsed = sectionsSource ? parseCSV(sectionsSource.text, sectionsSource.name) : { rows: [], warnings: [] };
+  
+  log(`📊 Parsed ${brandsRows.length} brands and ${masterRows.length} catalog items`);
+
+  // Every warning points at a cell: { source, row, column, message }; warnings
+  // a quality policy rule can promote to errors also carry that `rule`
+  const warnings = [...brandsParsed.warnings, ...masterParsed.warnings, ...sectionsParsed.warnings];
+  const hardErrors = [];
+  const warn = (row, column, message, rule) =>
+    warnings.push({ ...rowLocation(row, column), message, ...(rule ? { rule } : {}) });
+
+  // Process Enhanced Brands with Homepage Content
+  log("🏷️  Processing enhanced brands...");
+  const brands = {};
+  // slug → { row, header, entries }; resolved against the tree once it is built
+  const brandScopeCells = new Map();
+  // slug → { markup, rounding, currency }; brands without a markup show no prices
+  const brandPricing = new Map();
+  for (const r of brandsRows) {
+    const slug = readColumn(r, BRAND_COLUMNS.slug).value;
+    const name = readColumn(r, BRAND_COLUMNS.name).value;
+    if (!slug && !name) continue;
+    if (!slug || !name) { 
+      const missing = slug ? readColumn(r, BRAND_COLUMNS.name) : readColumn(r, BRAND_COLUMNS.slug);
+      warn(r, missing.header, `Brand row skipped (needs both slug & name): ${JSON.stringify(r)}`); 
+      continue; 
+    }
+
+    // Schema-validated cell; invalid values warn and fall back to the default
+    const read = (key) => {
+      const column = BRAND_COLUMNS[key];
+      const cell = readColumn(r, column);
+      if (cell.error) {
+        warn(r, cell.header, `Brand ${slug}: invalid ${column.header} "${cell.raw}" (${cell.error}) → ${cell.value ? `${cell.value} used` : "ignored"}`,
+          column.type === "hex" ? "invalidColors" : undefined);
+      }
+      return cell.value;
+    };
+
+    // Enhanced brand properties from CSV
+    const brandData = {
+      name,
+      // Homepage content
+      tagline: read("tagline"),
+      heroTitle: read("heroTitle"),
+      heroSubtitle: read("heroSubtitle"),
+      footerText: read("footerText"),
+      
+      // Color validation (defaults give the light professional theme)
+      colors: {
+        primary: read("primaryColor"),
+        accent: read("accentColor"),
+        text: read("textColor"),
+        bg: read("bgColor"),
+      }
+    };
+
+    const whatsapp = read("whatsapp");
+    if (whatsapp) brandData.whatsapp = whatsapp;
+
+    brandData.defaultCategory = read("defaultCategory");
+
+    // The markup stays in the build; storefronts only see selling prices
+    const markup = read("markup");
+    if (markup !== "") {
+      const pricing = { markup, rounding: read("rounding") || 0, currency: read("currency").toUpperCase() };
+      brandData.currency = pricing.currency;
+      brandPricing.set(slug, pricing);
+    }
+
+    if (brands[slug]) { 
+      warn(r, readColumn(r, BRAND_COLUMNS.slug).header, `Duplicate brand slug ignored: ${slug}`, "duplicateBrandSlugs");
+      continue; 
+    }
+
+    brands[slug] = brandData;
+
+    const scopeCell = readColumn(r, BRAND_COLUMNS.categories);
+    const entries = parseScope(scopeCell.value);
+    if (entries.length) brandScopeCells.set(slug, { row: r, header: scopeCell.header, entries });
+  }
+  
+  log(`✅ Processed ${Object.keys(brands).length} enhanced brands`);
+
+  // Build enhanced catalog tree with sections and image rendering
+  log("🌳 Building section-aware catalog tree with image rendering...");
+  
+  // Rows with Status Hidden or outside their PublishFrom/PublishUntil window
+  // never reach the tree
+  const schedule = applySchedule(masterRows, {
+    buildTime,
+    pathOf: (r) => normPath(readColumn(r, MASTER_COLUMNS.relativePath).value),
+    warn,
+  });
+  const liveRows = schedule.live;
+  if (liveRows.length < masterRows.length) {
+    log(`🗓️  Left out ${masterRows.length - liveRows.length} hidden row(s) or row(s) outside their publishing window`);
+  }
+
+  // Folder or product is decided from the whole sheet: a folder row whose
+  // children are all hidden or outside their window stays a folder (and is
+  // dropped below), not a product card until they go live
+  const allFullPaths = masterRows
+    .filter(r => readColumn(r, MASTER_COLUMNS.name).value)
+    .map(r => normPath(readColumn(r, MASTER_COLUMNS.relativePath).value));
+  const parentsSet = new Set();
+  for (const full of allFullPaths) {
+    const segs = full.split("/").filter(Boolean);
+    for (let i = 1; i < segs.length; i++) {
+      parentsSet.add(segs.slice(0, i).join("/"));
+    }
+  }
+
+  const tree = {};
+  let totalProducts = 0;
+  const invalidDriveLinks = [];
+  // Valid links per type, and how many were rewritten to the canonical form
+  const driveStats = { file: 0, folder: 0, item: 0, normalized: 0 };
+  const folderMeta = new Map();
+  const sectionStats = new Map();
+  // Tree path (as stored in the tree) → master row, so later checks can
+  // point back at the sheet row that produced a node.
+  const rowByPath = new Map();
+  // SKU → path of the first row using it
+  const skuOwners = new Map();
+  const detailStats = Object.fromEntries(DETAIL_COLUMNS.map((key) => [key, 0]));
+
+  // Rows with an empty "Thumbs Path" get the first image of their mirrored
+  // public/thumbs folder
+  const thumbIndex = cachedThumbIndex || (thumbsDir
+    ? await scanThumbs(thumbsDir)
+    : { files: [], root: { name: "", children: new Map(), images: [] } });
+  log(`🖼️  Indexed ${thumbIndex.files.length} thumbnail files${thumbsDir ? ` in ${thumbsDir}` : ""}`);
+  const thumbSources = { explicit: [], autoResolved: [], unresolved: [] };
+
+  log("📝 Processing enhanced catalog entries with image rendering...");
+log("📝 Processing enhanced catalog entries with TopOrder at ALL levels...");
+let processedCount = 0;
+
+for (const r of liveRows) {
+  const cell = (key) => readColumn(r, MASTER_COLUMNS[key]);
+  const name = cell("name").value;
+  const rel  = normPath(cell("relativePath").value);
+  const driveCell = cell("driveLink");
+  // Any link makes a row a product. Valid links are stored in canonical form,
+  // others as typed and reported below
+  const drive = driveCell.raw ? parseDriveLink(driveCell.raw) : null;
+  const driveLink = drive?.ok ? drive.url : driveCell.raw;
+  const driveType = drive?.ok ? drive.type : "";
+  const thumbCell = cell("thumbnail");
+  const topOrderCell = cell("topOrder");
+  const section = cell("section").value;
+  const category = cell("category").value;
+  const priceCell = cell("price");
+  if (priceCell.error) warn(r, priceCell.header, `Invalid Price "${priceCell.raw}" for ${name} (${priceCell.error}) → shown without a price`);
+  // Available is the default and stays off the node; Hidden rows never get here
+  const statusCell = cell("status");
+  if (statusCell.error) warn(r, statusCell.header, `Invalid Status "${statusCell.raw}" for ${name} (${statusCell.error}) → shown as Available`);
+  const status = statusCell.value === "Available" ? "" : statusCell.value;
+
+  // Product details: only filled, valid cells reach the node
+  const details = {};
+  for (const key of DETAIL_COLUMNS) {
+    const detail = cell(key);
+    if (detail.error) {
+      warn(r, detail.header, `Invalid ${MASTER_COLUMNS[key].header} "${detail.raw}" for ${name} (${detail.error}) → ${key === "condition" ? "left out" : "shown as typed"}`);
+    }
+    if (detail.value === "" || detail.value.length === 0) continue;
+    details[key] = detail.value;
+    detailStats[key]++;
+  }
+  if (details.sku) {
+    const owner = skuOwners.get(details.sku);
+    if (owner) warn(r, cell("sku").header, `Duplicate SKU "${details.sku}" for ${rel} (already used by ${owner})`);
+    else skuOwners.set(details.sku, rel);
+  }
+
+  // Image rendering columns
+  const imageAlignment = cell("alignment").value;
+  const imageFitting = cell("fitting").value;
+  const scalingCell = cell("scaling");
+  const imageScaling = scalingCell.value;
+  if (scalingCell.error) warn(r, scalingCell.header, `Unrecognised Scaling "${scalingCell.raw}" for ${name} (${scalingCell.error})`);
+  
+  if (!rel || !name) continue;
+  
+  processedCount++;
+  if (processedCount % 50 === 0) {
+    log(`  ✨ Processed ${processedCount}/${liveRows.length} items...`);
+  }
+
+  const full = rel;
+  const segs = full.split("/").filter(Boolean);
+  const pathDepth = segs.length;
+  const isCandidateProduct = !!driveLink;
+  const hasChildren = parentsSet.has(full);
+  const isLeafProduct = isCandidateProduct && !hasChildren;
+
+  if (drive && !drive.ok) {
+    invalidDriveLinks.push({ name, rel, driveLink, kind: drive.kind, ...rowLocation(r, driveCell.header) });
+    warn(r, driveCell.header, `Invalid Drive link "${driveLink}" for ${name}: ${drive.message}`, "invalidDriveLinks");
+  } else if (drive) {
+    driveStats[drive.type]++;
+    if (drive.normalized) driveStats.normalized++;
+  }
+
+  let thumbRel = thumbCell.value;
+  if (thumbRel) {
+    thumbSources.explicit.push({ path: rel, thumbnail: toThumbSitePath(thumbRel) });
+  } else {
+    thumbRel = findThumb(thumbIndex, rel);
+    const entry = { path: rel, ...rowLocation(r, thumbCell.header) };
+    if (thumbRel) {
+      thumbSources.autoResolved.push({ ...entry, thumbnail: toThumbSitePath(thumbRel) });
+      log(`🔎 BUILD Auto-resolved thumbnail for ${rel}: ${thumbRel}`);
+    } else {
+      thumbSources.unresolved.push(entry);
+    }
+  }
+  const normalizedThumb = toThumbSitePath(thumbRel);
+
+  // ENHANCED: Parse TopOrder for items at ANY depth
+  const parsedTopOrder = topOrderCell.value;
+  if (topOrderCell.error) {
+    log(`⚠️ BUILD Invalid TopOrder "${topOrderCell.raw}" for ${name} at depth ${pathDepth}, using default ${parsedTopOrder}`);
+    warn(r, topOrderCell.header, `Invalid TopOrder "${topOrderCell.raw}" for ${name} (${topOrderCell.error}) → default ${parsedTopOrder} used`);
+  } else if (topOrderCell.raw) {
+    log(`✅ BUILD TopOrder for ${name} at depth ${pathDepth} (${isLeafProduct ? 'PRODUCT' : 'FOLDER'}) path ${rel}: ${parsedTopOrder}`);
+  } else {
+    log(`📝 BUILD No TopOrder specified for ${name} at depth ${pathDepth}, using default ${parsedTopOrder}`);
+  }
+
+  // Track section statistics
+  if (!sectionStats.has(section)) {
+    sectionStats.set(section, 0);
+  }
+  sectionStats.set(section, sectionStats.get(section) + 1);
+
+  if (isLeafProduct) {
+  // ENHANCED: Products at ANY depth get TopOrder
+  const parentSegs = segs.slice(0, -1);
+  const children = ensureFolderNode(tree, parentSegs);
+  rowByPath.set([...parentSegs, name].join("/"), r);
+  children[name] = { 
+    isProduct: true, 
+    driveLink, 
+    ...(driveType ? { driveType } : {}),
+    thumbnail: normalizedThumb || placeholderThumb,
+    section: section,
+    category: category,
+    topOrder: parsedTopOrder,
+    // Image rendering config - only set if explicitly provided
+    ...(imageAlignment ? { alignment: imageAlignment } : {}),
+    ...(imageFitting ? { fitting: imageFitting } : {}),
+    ...(imageScaling ? { scaling: imageScaling } : {}),
+    ...details,
+    ...(status ? { status } : {}),
+  };
+  totalProducts++;
+  log(`🎯 BUILD Set PRODUCT ${name} at depth ${pathDepth} TopOrder: ${parsedTopOrder}`);
+} else {
+  // ENHANCED: Folders at ANY depth get TopOrder
+  ensureFolderNode(tree, segs);
+  const k = segs.join("/");
+  rowByPath.set(k, r);
+  const existing = folderMeta.get(k) || {};
+  if (normalizedThumb) existing.thumbnail = normalizedThumb;
+  if (driveLink) existing.driveLink = driveLink;
+  if (driveType) existing.driveType = driveType;
+  if (section) existing.section = section;
+  if (category) existing.category = category;
+  // Only used if the row ends up a product (convertEmpty below)
+  if (status) existing.status = { value: status, header: statusCell.header };
+  
+  existing.topOrder = parsedTopOrder;
+  log(`📁 BUILD Set FOLDER ${k} at depth ${pathDepth} TopOrder: ${parsedTopOrder}`);
+  
+  // Image rendering config for folders - only set if explicitly provided
+  if (imageAlignment) existing.alignment = imageAlignment;
+  if (imageFitting) existing.fitting = imageFitting;
+  if (imageScaling) existing.scaling = imageScaling;
+  // Folder rows with a Drive link may become products (convertEmpty below)
+  existing.details = details;
+  
+  folderMeta.set(k, existing);
+}
+}
+
+log(`📊 BUILD Processed ${totalProducts} products across all depths`);
+log(`📊 BUILD Created ${folderMeta.size} folder entries across all depths`);
+
+
+  // Attach enhanced folder metadata including image rendering
+  log("🔗 Enhancing catalog with sections and image rendering...");
+  log("🔗 Enhancing catalog with TopOrder at ALL levels...");
+
+function attachFolderMeta(node, prefix = []) {
+  for (const k of Object.keys(node)) {
+    const n = node[k];
+    if (!n.isProduct) {
+      const here = [...prefix, k].join("/");
+      const meta = folderMeta.get(here);
+      if (meta?.thumbnail) n.thumbnail = meta.thumbnail;
+      if (meta?.driveLink) n.driveLink = meta.driveLink;
+      if (meta?.driveType) n.driveType = meta.driveType;
+      if (meta?.section) n.section = meta.section;
+      if (meta?.category) n.category = meta.category;
+      if (meta?.details) Object.assign(n, meta.details);
+      
+      // CRITICAL: Apply TopOrder and image config to folders only
+      if (typeof meta?.topOrder !== "undefined") {
+        n.topOrder = meta.topOrder;
+        log(`📌 BUILD Applied TopOrder ${meta.topOrder} to folder: ${here}`);
+      } else {
+        n.topOrder = 999;
+      }
+      
+      // FIXED: Image config for folders only (for folder display)
+      if (meta?.alignment) n.alignment = meta.alignment;
+      if (meta?.fitting) n.fitting = meta.fitting;
+      if (meta?.scaling) n.scaling = meta.scaling;
+      
+      if (n.children) attachFolderMeta(n.children, [...prefix, k]);
+    } else {
+      // ENSURE products have TopOrder fallback but NO image config inheritance
+      if (typeof n.topOrder === "undefined") {
+        n.topOrder = 999;
+      }
+      // Products keep their own explicit CSV config or get GLOBAL defaults via JavaScript
+    }
+  }
+}
+
+attachFolderMeta(tree);
+
+  // Convert empty folders with drive links to products; folders whose sheet
+  // children are all left out (hidden or outside their window) are dropped
+  log("🔄 Optimizing catalog structure...");
+  function convertEmpty(node, prefix = []) {
+    for (const k of Object.keys(node)) {
+      const n = node[k];
+      if (!n.isProduct) {
+        const here = [...prefix, k].join("/");
+        if (n.children) convertEmpty(n.children, [...prefix, k]);
+        const hasChildren = Object.keys(n.children || {}).length > 0;
+        if (!hasChildren && parentsSet.has(here)) {
+          delete node[k];
+          continue;
+        }
+        const status = folderMeta.get(here)?.status;
+        if (!hasChildren && n.driveLink) {
+          delete n.children;
+          n.isProduct = true;
+          if (status) n.status = status.value;
+          totalProducts++;
+        } else if (status) {
+          warn(rowByPath.get(here), status.header, `Status "${status.value}" on folder ${here} ignored (only Hidden applies to folders)`);
+        }
+      }
+    }
+  }
+  convertEmpty(tree);
+
+  // IDs and URL slugs for every node. The SPA links by ID, but only an `ID`
+  // cell is stable: without one the ID is a hash of the slug path, so renaming
+  // or moving a node (or reordering siblings that share a slug) changes its ID
+  // and every ID under it. The change report warns when that drops a
+  // published ID.
+  log("🔖 Assigning node IDs and slugs...");
+  const usedIds = new Map();
+  const nodeIds = { explicit: 0, derived: 0 };
+  function assignIds(node, prefix = [], slugPrefix = []) {
+    const siblingSlugs = new Set();
+    for (const k of Object.keys(node)) {
+      const n = node[k];
+      const here = [...prefix, k].join("/");
+      const row = rowByPath.get(here);
+
+      let slug = slugify(k);
+      if (siblingSlugs.has(slug)) {
+        let i = 2;
+        while (siblingSlugs.has(`${slug}-${i}`)) i++;
+        warn(row, readColumn(row || {}, MASTER_COLUMNS.name).header, `Slug "${slug}" of ${here} is already used by a sibling → "${slug}-${i}" used`);
+        slug = `${slug}-${i}`;
+      }
+      siblingSlugs.add(slug);
+      const slugPath = [...slugPrefix, slug];
+
+      const idCell = row ? readColumn(row, MASTER_COLUMNS.id) : { raw: "" };
+      let id = "";
+      if (idCell.error) {
+        warn(row, idCell.header, `Invalid ID "${idCell.raw}" for ${here} (${idCell.error}) → derived ID used`);
+      } else if (idCell.raw && usedIds.has(idCell.raw)) {
+        warn(row, idCell.header, `Duplicate ID "${idCell.raw}" (already used by ${usedIds.get(idCell.raw)}) → derived ID used for ${here}`);
+      } else {
+        id = idCell.raw;
+      }
+      if (id) nodeIds.explicit++;
+      else {
+        id = sha256(slugPath.join("/")).slice(0, 10);
+        nodeIds.derived++;
+      }
+      usedIds.set(id, here);
+
+      n.id = id;
+      n.slug = slug;
+      if (!n.isProduct && n.children) assignIds(n.children, [...prefix, k], slugPath);
+    }
+  }
+  assignIds(tree);
+
+  // Storefront scopes: which categories/subtrees each brand shows
+  const brandScopes = {};
+  for (const [slug, { row, header, entries }] of brandScopeCells) {
+    const { paths, unknown } = resolveScope(tree, entries);
+    unknown.forEach((entry) => warn(row, header, `Brand ${slug}: "${entry}" is not in the catalog → left out of the storefront`));
+    if (!paths.length) {
+      warn(row, header, `Brand ${slug}: none of its categories exist → whole catalog shown`);
+      continue;
+    }
+    brands[slug].scope = paths;
+    const defaultCategory = brands[slug].defaultCategory;
+    if (defaultCategory && !paths.some((p) => p.split("/")[0].toLowerCase() === defaultCategory.toLowerCase())) {
+      warn(row, readColumn(row, BRAND_COLUMNS.defaultCategory).header, `Brand ${slug}: defaultCategory "${defaultCategory}" is outside its storefront categories`);
+    }
+    brandScopes[slug] = { include: paths, unknown };
+  }
+
+  // Enhance catalog with visual and section data
+  // Enhance catalog with visual and section data
+  log("🖼️  Enhancing visual and section elements with inherited config...");
+  propagateThumbsFromChildren(tree, 0, log);
+  fillMissingThumbsFromAncestors(tree, placeholderThumb);
+  log("✅ Image config inheritance complete");
+
+  // Products filed more than once: reported, and merged on request
+  log("👯 Looking for duplicate products...");
+  const duplicates = await findDuplicates(tree, { thumbsDir, placeholderThumb });
+  for (const { canonical, duplicates: others, signals } of duplicates.clusters) {
+    const why = signals.map((s) => DUPLICATE_SIGNALS[s]).join(", ");
+    for (const d of others) {
+      const row = rowByPath.get(d.path);
+      warn(row, readColumn(row || {}, MASTER_COLUMNS.name).header, `Possible duplicate: ${d.path} looks like ${canonical.path} (${why})`);
+    }
+  }
+  const collapsedDuplicates = collapse ? collapseDuplicates(tree, duplicates.clusters) : 0;
+  totalProducts -= collapsedDuplicates;
+  if (collapsedDuplicates) log(`👯 Collapsed ${collapsedDuplicates} duplicate product(s) into aliases`);
+
+  log("🧮 Calculating enhanced catalog metrics...");
+  for (const top of Object.keys(tree)) {
+    setCounts(tree[top]);
+  }
+  const stockStatus = { Available: totalProducts };
+  for (const node of Object.values(tree)) {
+    for (const [status, n] of Object.entries(statusCountsOf(node))) {
+      stockStatus[status] = (stockStatus[status] || 0) + n;
+      stockStatus.Available -= n;
+    }
+  }
+
+  // Enhanced health checks including image rendering
+  log("🔍 Running enhanced quality assurance with image rendering checks...");
+  const missingThumbFiles = [];
+  const sectionAnalysis = {};
+  const imageRenderingStats = { withConfig: 0, total: 0 };
+  
+  // Analyze sections and image rendering config
+  Object.entries(tree).forEach(([key, item]) => {
+    const section = item.section || 'Featured';
+    if (!sectionAnalysis[section]) {
+      sectionAnalysis[section] = { categories: [], totalItems: 0 };
+    }
+    sectionAnalysis[section].categories.push(key);
+    sectionAnalysis[section].totalItems += item.count || 0;
+  });
+log("🔍 BUILD Verifying TopOrder coverage...");
+function verifyTopOrder(node, path = []) {
+  for (const [key, item] of Object.entries(node)) {
+    const fullPath = [...path, key].join("/");
+    const hasTopOrder = typeof item.topOrder !== "undefined";
+    
+    if (!hasTopOrder) {
+      log(`❌ BUILD Missing TopOrder: ${fullPath}`);
+    } else {
+      log(`✅ BUILD TopOrder verified: ${fullPath} = ${item.topOrder}`);
+    }
+    
+    if (!item.isProduct && item.children) {
+      verifyTopOrder(item.children, [...path, key]);
+    }
+  }
+}
+verifyTopOrder(tree);
+log("✅ BUILD TopOrder verification complete");
+  async function scanMissingThumbs(node, pfx = []) {
+  for (const k of Object.keys(node)) {
+    const n = node[k];
+    imageRenderingStats.total++;
+    
+    // FIXED: Check if item has image rendering config INCLUDING custom
+    // ENHANCED: Check if item has image rendering config (including inherited)
+    if (n.alignment || n.fitting || n.scaling) {
+      imageRenderingStats.withConfig++;
+      if ([...pfx, k].join("/").includes("/")) {
+        log(`📸 Config found at ${[...pfx, k].join("/")}: alignment=${n.alignment}, fitting=${n.fitting}, scaling=${n.scaling}`);
+      }
+    }
+    
+    if (thumbsDir && n.thumbnail && n.thumbnail !== placeholderThumb) {
+      const exists = await fileExists(thumbsDir, n.thumbnail);
+      if (!exists) {
+        const nodePath = [...pfx, k].join("/");
+        const row = rowByPath.get(nodePath);
+        missingThumbFiles.push({ 
+          path: nodePath, 
+          thumbnail: n.thumbnail,
+          section: n.section || 'Unknown',
+          hasImageConfig: !!(n.alignment || n.fitting || n.scaling),
+          // Thumbnails copied down from an ancestor point at this node's row
+          // without a column; the broken cell is on the ancestor's row.
+          ...(row && readColumn(row, MASTER_COLUMNS.thumbnail).raw
+            ? rowLocation(row, readColumn(row, MASTER_COLUMNS.thumbnail).header)
+            : { ...rowLocation(row), inherited: true })
+        });
+      }
+    }
+    if (!n.isProduct && n.children) {
+      await scanMissingThumbs(n.children, [...pfx, k]);
+    }
+  }
+}
+
+  await scanMissingThumbs(tree);
+
+  // Most misses are near-misses (accents, dashes, a typo): suggest the closest
+  // existing file. Inherited entries are fixed on the ancestor's own row.
+  log("🩹 Looking for thumbnail repairs...");
+  const thumbRepairs = [];
+  for (const miss of missingThumbFiles) {
+    const suggestion = suggestThumb(thumbIndex, miss.thumbnail.replace(/^\/?thumbs\//, ""));
+    if (!suggestion) continue;
+    miss.suggestion = toThumbSitePath(suggestion.path);
+    if (miss.inherited) continue;
+    thumbRepairs.push({
+      source: miss.source,
+      row: miss.row,
+      column: miss.column,
+      path: miss.path,
+      from: miss.thumbnail,
+      to: miss.suggestion,
+      distance: suggestion.distance,
+      matchedFileName: suggestion.byName,
+    });
+    log(`  🩹 ${miss.path}: ${miss.thumbnail} → ${miss.suggestion}`);
+  }
+
+  let fixedMasterCsv = null;
+  if (fix) {
+    const repairByRow = new Map(thumbRepairs.map((f) => [f.row, f]));
+    // Keep the cell's own prefix style ("thumbs/…", "/thumbs/…" or bare)
+    const fixedRows = masterRows.map((r) => {
+      const repair = repairByRow.get(rowLocation(r).row);
+      if (!repair) return r;
+      const prefix = r[repair.column].match(/^\/?(thumbs\/)?/i)[0];
+      return { ...r, [repair.column]: prefix + repair.to.replace(/^\/thumbs\//, "") };
+    });
+    fixedMasterCsv = stringifyCSV(masterParsed.headers, fixedRows);
+    log(`🩹 Applied ${repairByRow.size} thumbnail repair(s) to ${fix}`);
+  }
+
+  // What changed since the previous build, for whoever edited the sheet
+  log("🔄 Comparing with previous build...");
+  const changes = previous?.data
+    ? {
+        baseline: { location: previous.location, buildTime: previous.data.meta?.buildTime || null },
+        ...diffCatalogs(previous.data.catalog.tree, tree),
+      }
+    : { baseline: null, ...(previous?.reason ? { reason: previous.reason } : {}) };
+  // Before the quality policy, so these warnings count towards it
+  for (const lost of changes.lostIds || []) {
+    const row = rowByPath.get(lost.path);
+    warn(row, readColumn(row || {}, MASTER_COLUMNS.id).header,
+      `ID ${lost.id} of ${lost.from} is no longer published (${lost.path} now has ${lost.newId}) → links shared to it break; put ${lost.id} in its ID cell to keep them`);
+  }
+
+  // Sections sheet, checked against the finished tree; its warnings count
+  // towards the quality policy like those of the other sheets
+  log("🏠 Resolving homepage sections...");
+  const sectionConfigs = readSections(sectionsParsed.rows, { brands: Object.keys(brands), tree, warn });
+
+  // Quality policy: every breached threshold turns its findings into errors
+  const countRule = (rule) => warnings.filter((w) => w.rule === rule).length;
+  const policyResult = evaluatePolicy(policy, {
+    missingThumbnails: missingThumbFiles.length,
+    invalidDriveLinks: invalidDriveLinks.length,
+    duplicateBrandSlugs: countRule("duplicateBrandSlugs"),
+    invalidColors: countRule("invalidColors"),
+    warnings: warnings.length,
+  });
+  const promote = (rule) => {
+    const matches = (w) => rule === "warnings" || w.rule === rule;
+    hardErrors.push(...warnings.filter(matches));
+    warnings.splice(0, warnings.length, ...warnings.filter((w) => !matches(w)));
+  };
+  for (const breach of policyResult.breaches) {
+    log(`❌ Quality policy: ${breach.label} ${breach.actual} > ${breach.limit}`);
+    if (breach.rule === "missingThumbnails") {
+      hardErrors.push(...missingThumbFiles.map(({ source, row, column, path: p, thumbnail, suggestion }) => ({
+        source, row, column, rule: breach.rule,
+        message: `Missing thumbnail ${thumbnail} for ${p}${suggestion ? ` (did you mean ${suggestion}?)` : ""}`,
+      })));
+    } else {
+      promote(breach.rule);
+    }
+  }
+
+  // Generate enhanced report with image rendering stats
+  const report = {
+    timestamp: buildTime,
+    sources,
+    build_version: "2.1.0-image-rendering",
+    performance: {
+      totalBrands: Object.keys(brands).length,
+      totalProducts: totalProducts,
+      totalCategories: Object.keys(tree).length,
+      catalogEntries: masterRows.length,
+      sectionsFound: Object.keys(sectionAnalysis).length,
+    },
+    imageRendering: {
+      itemsWithConfig: imageRenderingStats.withConfig,
+      totalItems: imageRenderingStats.total,
+      configCoverage: `${((imageRenderingStats.withConfig / imageRenderingStats.total) * 100).toFixed(1)}%`
+    },
+    sections: sectionAnalysis,
+    nodeIds,
+    // Clusters of products that look like the same item; `collapsed` counts
+    // the duplicates merged into their canonical product's aliases
+    duplicates: {
+      signals: duplicates.signals,
+      collapsed: collapsedDuplicates,
+      clusters: duplicates.clusters,
+    },
+    // Rows with each optional product detail column filled in
+    productDetails: detailStats,
+    // Rows left out by Status Hidden or their publishing window; the site only
+    // changes when rebuilt, so nextChange is when the next build would publish
+    // or withdraw
+    schedule: {
+      hiddenRows: masterRows.length - liveRows.length,
+      nextChange: schedule.nextChange,
+      upcoming: schedule.upcoming,
+      expired: schedule.expired,
+      hidden: schedule.hidden,
+    },
+    // Published products per Status
+    stockStatus,
+    policy: {
+      sources: policy.sources,
+      strict: policy.strict,
+      thresholds: policy.thresholds,
+      passed: policyResult.passed,
+      exitCode: policyResult.exitCode,
+      rules: policyResult.rules,
+    },
+    driveLinks: {
+      ...driveStats,
+      invalid: Object.fromEntries(Object.keys(DRIVE_LINK_PROBLEMS).map((kind) => [kind, invalidDriveLinks.filter((l) => l.kind === kind).length])),
+    },
+    thumbnails: {
+      explicit: thumbSources.explicit.length,
+      autoResolved: thumbSources.autoResolved.length,
+      unresolved: thumbSources.unresolved.length,
+      indexedFiles: thumbIndex.files.length,
+    },
+    quality: {
+      invalidDriveLinks: invalidDriveLinks.length,
+      missingThumbnails: missingThumbFiles.length,
+      thumbnailRepairs: thumbRepairs.length,
+      duplicateClusters: duplicates.clusters.length,
+      upcomingRows: schedule.upcoming.length,
+      expiredRows: schedule.expired.length,
+      hiddenStatusRows: schedule.hidden.length,
+      warnings: warnings.length,
+      errors: hardErrors.length,
+    },
+    details: {
+      invalidDriveLinks: invalidDriveLinks.slice(0, 5),
+      missingThumbFiles: missingThumbFiles.slice(0, 10),
+      thumbnailRepairs: thumbRepairs,
+      // Full lists: which rows were typed by hand and which the build filled in
+      thumbnails: thumbSources,
+      warnings: warnings.slice(0, 5),
+      errors: hardErrors.slice(0, 10),
+      sectionsBreakdown: Object.entries(sectionAnalysis).map(([section, data]) => ({
+        section,
+        categories: data.categories,
+        totalItems: data.totalItems
+      })),
+      sampleCategories: Object.keys(tree).slice(0, 10).map(cat => ({
+  name: cat,
+  items: tree[cat].count || 0,
+  section: tree[cat].section || 'Featured',
+  topOrder: tree[cat].topOrder || 999,
+  hasImageConfig: !!(tree[cat].alignment || tree[cat].fitting || tree[cat].scaling),
+  imageConfig: {
+    alignment: tree[cat].alignment || 'inherited/default',
+    fitting: tree[cat].fitting || 'inherited/default', 
+    scaling: tree[cat].scaling || 'inherited/default'
+  }
+}))
+    }
+  };
+
+  // Create enhanced data.json with sections and image rendering support
+  const enhancedData = {
+    brands,
+    catalog: {
+      totalProducts,
+      tree,
+      sections: Object.keys(sectionAnalysis),
+      sectionStats: Object.fromEntries(
+        Object.entries(sectionAnalysis).map(([name, data]) => [name, data.totalItems])
+      )
+    },
+    meta: {
+      schemaVersion: DATA_SCHEMA_VERSION,
+      buildVersion: "2.1.0-image-rendering",
+      buildTime,
+      // Content hashes only, so a rebuild from saved CSVs matches byte for byte;
+      // where each file came from is recorded in health.json
+      sources: Object.fromEntries(
+        Object.entries(sources).map(([key, src]) => [key, { sha256: src.sha256, bytes: src.bytes }])
+      ),
+      features: [
+        "csv_driven_homepage",
+        "dynamic_sections", 
+        "enhanced_branding",
+        "section_based_organization",
+        "image_rendering_system",
+        "node_ids",
+        "sharded_catalog",
+        "product_details"
+      ]
+    }
+  };
+
+  // Homepage sections for brands the sections sheet mentions; the others keep
+  // the default order
+  for (const [slug, configured] of sectionConfigs) {
+    brands[slug].sections = brandSections(configured, scopeCatalog(enhancedData.catalog, brandScopes[slug]?.include));
+  }
+
+  // Sharded copy for the SPA: catalog/index.json plus one content-hashed
+  // shard per top-level category. data.json stays complete for tooling and
+  // as the baseline of the next change report.
+  log("🧩 Splitting catalog index and category shards...");
+  const { index: catalogIndex, shards } = shardCatalog(enhancedData);
+
+  // Scoped or priced storefronts get their own index; their shards share
+  // content-hashed files with the full catalog whenever a category is
+  // included whole and unpriced
+  const brandViews = {};
+  const scopedCatalogs = {};
+  const viewFiles = [];
+  const storefronts = {};
+  for (const slug of Object.keys(brands).filter((s) => brandScopes[s] || brandPricing.has(s))) {
+    let view = scopeCatalog(enhancedData.catalog, brandScopes[slug]?.include);
+    scopedCatalogs[slug] = view;
+    const storefront = { ...brandScopes[slug], totalProducts: view.totalProducts };
+    const pricing = brandPricing.get(slug);
+    if (pricing) {
+      const priced = priceCatalog(view, (p) => {
+        const row = rowByPath.get(p);
+        const base = row ? readColumn(row, MASTER_COLUMNS.price).value : "";
+        return base === "" ? null : sellingPrice(base, pricing);
+      });
+      view = priced.catalog;
+      Object.assign(storefront, { pricing, pricedProducts: priced.priced });
+    }
+    const { index: viewIndex, shards: viewShards } = shardCatalog({ catalog: view });
+    const file = `${SHARD_DIR}/brands/${slugify(slug)}.json`;
+    brandViews[slug] = file;
+    storefronts[slug] = storefront;
+    viewFiles.push({ file, text: JSON.stringify({ brand: slug, catalog: viewIndex.catalog }), catalog: viewIndex.catalog });
+    shards.push(...viewShards);
+  }
+  catalogIndex.meta = { ...catalogIndex.meta, brandViews };
+
+  // Nothing is returned (or written by the CLI) unless every published shape
+  // matches public/data-schema.js
+  log("📐 Validating output against data schema v" + DATA_SCHEMA_VERSION + "...");
+  const outputs = [
+    ["data.json", enhancedData],
+    [`${SHARD_DIR}/index.json`, catalogIndex],
+    ...viewFiles.map(({ file, catalog }) => [file, { ...enhancedData, catalog }]),
+  ];
+  for (const [file, output] of outputs) {
+    const problems = validateData(output);
+    if (problems.length) throw new DataSchemaError(`${file} does not match data schema v${DATA_SCHEMA_VERSION}`, problems);
+  }
+
+  const indexText = JSON.stringify(catalogIndex);
+  const uniqueShards = new Map(shards.map((shard) => [shard.file, shard]));
+  for (const shard of uniqueShards.values()) {
+    log(`  🧩 ${shard.key} → ${shard.file} (${(Buffer.byteLength(shard.text) / 1024).toFixed(1)} KB)`);
+  }
+  const files = [
+    { file: `${SHARD_DIR}/index.json`, text: indexText },
+    ...[...uniqueShards.values()].map(({ file, text }) => ({ file, text })),
+    ...viewFiles.map(({ file, text }) => ({ file, text })),
+  ];
+  report.output = {
+    schemaVersion: DATA_SCHEMA_VERSION,
+    index: { file: `${SHARD_DIR}/index.json`, bytes: Buffer.byteLength(indexText) },
+    shards: [...uniqueShards.values()].map((s) => ({ category: s.key, file: s.file, bytes: Buffer.byteLength(s.text) })),
+    brandViews,
+    // Everything published but the build time: equal fingerprints mean a
+    // rebuild changed nothing, so the scheduled deploy can skip it
+    fingerprint: sha256(JSON.stringify([{ ...enhancedData, meta: { ...enhancedData.meta, buildTime: "" } }, siteUrl, placeholderThumb])),
+  };
+  report.storefronts = storefronts;
+  // Brand → homepage section names in display order (configured brands only)
+  report.homeSections = Object.fromEntries([...sectionConfigs.keys()].map((slug) => [slug, brands[slug].sections.map((s) => s.name)]));
+
+  // Static entry pages so links shared from the storefront preview properly
+  if (pageTemplate) {
+    log("🔗 Rendering entry pages...");
+    const pages = renderPages(enhancedData, pageTemplate, { siteUrl, buildTime, placeholderThumb, views: scopedCatalogs });
+    files.push(...pages.files);
+    report.output.pages = { dir: PAGES_DIR, count: pages.pages, sitemap: !!siteUrl };
+    if (!siteUrl) log("⚠️ BUILD No SITE_URL: entry pages use relative og: URLs (most link previews show no image) and sitemap.xml is not written");
+  }
+
+  const duplicateSignals = Object.entries(DUPLICATE_SIGNALS)
+    .filter(([signal]) => duplicates.signals[signal])
+    .map(([signal, label]) => `${duplicates.signals[signal]} × ${label}`);
+  const collapsibleClusters = duplicates.clusters.filter((c) => c.collapsible).length;
+  const scheduleTime = (iso) => `${iso.slice(0, 16).replace("T", " ")} UTC`;
+  const scheduleEntries = (entries, describe) => [
+    ...entries.slice(0, 10).map((e) => `  - \`${e.path}\` ${describe(e)}${e.hiddenRows > 1 ? ` (${e.hiddenRows} rows)` : ""}`),
+    ...(entries.length > 10 ? [`  - … and ${entries.length - 10} more (see health.json)`] : []),
+  ];
+
+  // Generate enhanced summary with sections and image rendering
+  const summary = [
+    "## 🏆 Enhanced CSV-Driven Catalog Build Summary with Image Rendering",
+    "",
+    "### 📊 **Performance Metrics**",
+    `- **Enhanced Brands:** ${Object.keys(brands).length}`,
+    `- **Premium Products:** ${totalProducts}`,
+    `- **Stock Status:** ${Object.entries(stockStatus).filter(([, n]) => n).map(([status, n]) => `${n} ${status}`).join(", ") || "no products"}`,
+    `- **Category Collections:** ${Object.keys(tree).length}`,
+    `- **Dynamic Sections:** ${Object.keys(sectionAnalysis).length}`,
+    `- **Catalog Entries Processed:** ${masterRows.length}`,
+    `- **Data Schema:** v${DATA_SCHEMA_VERSION} (data.json, index and brand views validated)`,
+    `- **Index Size:** ${(report.output.index.bytes / 1024).toFixed(1)} KB + ${report.output.shards.length} category shard(s)`,
+    ...(report.output.pages
+      ? [
+          `- **Entry Pages:** ${report.output.pages.count} under \`${PAGES_DIR}/\`${report.output.pages.sitemap ? " + sitemap.xml" : ""}`,
+          ...(report.output.pages.sitemap ? [] : ["- **⚠️ No SITE_URL:** link previews have no absolute og: URLs and no sitemap.xml was written; set the `site_url` input or the `SITE_URL` repository variable"]),
+        ]
+      : []),
+    "",
+    "### 🏪 **Storefronts**",
+    ...Object.keys(brands).map((slug) => {
+      const store = storefronts[slug];
+      const scope = store?.include ? store.include.map((p) => `\`${p}\``).join(", ") : "whole catalog";
+      const products = store ? ` (${store.totalProducts} products)` : "";
+      const prices = store?.pricing
+        ? ` · 💰 +${store.pricing.markup}% in ${store.pricing.currency}, ${store.pricedProducts} priced`
+        : " · prices hidden";
+      return `- **${slug}:** ${scope}${products}${prices}`;
+    }),
+    "",
+    "### 🏠 **Homepage Sections**",
+    ...(sectionConfigs.size
+      ? Object.entries(report.homeSections).map(([slug, names]) => `- **${slug}:** ${names.join(" → ") || "none visible"}`)
+      : [`- Default order for every brand (${sectionsSource ? "the sections sheet has no rows" : "no sections sheet"})`]),
+    "",
+    "### 🗓️ **Publishing Schedule**",
+    ...(schedule.upcoming.length || schedule.expired.length || schedule.hidden.length || schedule.nextChange
+      ? [
+          `- **Upcoming (not published yet):** ${schedule.upcoming.length}`,
+          ...scheduleEntries(schedule.upcoming, (e) => (e.publishFrom ? `goes live ${scheduleTime(e.publishFrom)}` : "has an invalid PublishFrom")),
+          `- **Expired (withdrawn):** ${schedule.expired.length}`,
+          ...scheduleEntries(schedule.expired, (e) => `ended ${scheduleTime(e.publishUntil)}`),
+          `- **Hidden (Status):** ${schedule.hidden.length}`,
+          ...scheduleEntries(schedule.hidden, () => "is hidden"),
+          schedule.nextChange ? `- **Next Change:** ${scheduleTime(schedule.nextChange)} (published or withdrawn by the first build after it; the deploy workflow rebuilds hourly)` : "",
+        ]
+      : ["- Every row is published (nothing hidden, no PublishFrom/PublishUntil dates ahead or past)"]),
+    "",
+    "### 📥 **Sources**",
+    ...Object.entries(sources).map(([key, src]) =>
+      `- **${key}:** ${src.kind}${src.kind === "cache" ? ` ⚠️ (fetch failed: ${src.fetchError}; cached ${src.cachedAt})` : ""} — \`sha256:${src.sha256.slice(0, 12)}\``
+    ),
+    "",
+    ...describeChanges(changes),
+    "",
+    "### 🖼️ **Thumbnails**",
+    `- **Explicit (Thumbs Path):** ${thumbSources.explicit.length}`,
+    `- **Auto-resolved from thumbs/:** ${thumbSources.autoResolved.length}`,
+    `- **Unresolved (inherit or placeholder):** ${thumbSources.unresolved.length}`,
+    "",
+    "### 🎨 **Image Rendering System**",
+    `- **Items with Custom Config:** ${imageRenderingStats.withConfig} / ${imageRenderingStats.total}`,
+    `- **Configuration Coverage:** ${((imageRenderingStats.withConfig / imageRenderingStats.total) * 100).toFixed(1)}%`,
+    "- **Supported Features:** Alignment, Fitting, Scaling",
+    "- **Non-Intrusive:** Only applies when config provided",
+    "",
+    "### 🎨 **Section Organization**",
+    ...Object.entries(sectionAnalysis).map(([section, data]) => 
+      `- **${section}:** ${data.categories.length} categories, ${data.totalItems} items`
+    ),
+    "",
+    "### 🔧 **Enhanced Features**",
+    "- ✅ CSV-driven homepage content",
+    "- ✅ Dynamic section organization", 
+    "- ✅ Enhanced brand customization",
+    "- ✅ TopOrder-based sorting",
+    "- ✅ Professional light theme",
+    "- ✅ Advanced image rendering system",
+    "",
+    "### 🎯 **Quality Assurance**",
+    `- **Missing Thumbnails:** ${missingThumbFiles.length}`,
+    thumbRepairs.length ? `- **🩹 Suggested Thumbnail Repairs:** ${thumbRepairs.length}${fix ? ` (applied in \`${fix}\`)` : " (run with `--fix` to write a corrected master CSV)"}` : "",
+    `- **Invalid Drive Links:** ${invalidDriveLinks.length}${invalidDriveLinks.length ? ` (${Object.entries(DRIVE_LINK_PROBLEMS)
+      .map(([kind, label]) => [invalidDriveLinks.filter((l) => l.kind === kind).length, label])
+      .filter(([count]) => count)
+      .map(([count, label]) => `${count} ${label}`)
+      .join(", ")})` : ""}`,
+    `- **Duplicate Clusters:** ${duplicates.clusters.length}${duplicateSignals.length ? ` (${duplicateSignals.join(", ")})` : ""}`,
+    collapse
+      ? `- **👯 Collapsed Duplicates:** ${collapsedDuplicates} product(s) merged into aliases`
+      : collapsibleClusters ? `- **👯 Collapsible Duplicates:** ${collapsibleClusters} cluster(s) (run with \`--collapse-duplicates\` to merge them)` : "",
+    `- **Drive Links:** ${Object.keys(DRIVE_LINK_TYPES).map((type) => `${driveStats[type]} ${type}`).join(", ")}${driveStats.normalized ? ` (${driveStats.normalized} rewritten to canonical form)` : ""}`,
+    warnings.length ? `- **⚠️ Warnings:** ${warnings.length}` : "- **✅ No Warnings**",
+    hardErrors.length ? `- **❌ Errors:** ${hardErrors.length}` : "- **✅ No Errors**",
+    "",
+    "### 🛡️ **Quality Policy**",
+    policy.sources.length ? `- **Source:** ${policy.sources.join(", ")}` : "- **Source:** none (report only)",
+    ...policyResult.rules
+      .filter((r) => r.limit !== null)
+      .map((r) => `- ${r.passed ? "✅" : "❌"} **${r.label}:** ${r.actual} (max ${r.limit}${r.passed ? "" : `, exit code ${r.exitCode}`})`),
+    policyResult.passed ? "- **Result:** ✅ passed" : `- **Result:** ❌ failed (exit code ${policyResult.exitCode})`,
+    "",
+    "### 🗂️ **Category Structure**",
+    ...Object.keys(tree)
+      .sort((a, b) => (tree[a].topOrder || 999) - (tree[b].topOrder || 999))
+      .map(cat => {
+        const section = tree[cat].section || 'Featured';
+        const order = tree[cat].topOrder || 'Auto';
+        const hasConfig = !!(tree[cat].alignment || tree[cat].fitting || tree[cat].scaling);
+        return `- **${cat}** (${section}): ${tree[cat].count || 0} items [Order: ${order}]${hasConfig ? ' 🎨' : ''}`;
+      }),
+    "",
+    "### 📋 **CSV Column Reference**",
+    "",
+    "**Brands CSV Columns:**",
+    ...describeColumns(BRAND_COLUMNS),
+    "",
+    "**Master CSV Columns:**",
+    ...describeColumns(MASTER_COLUMNS),
+    "",
+    "**Sections CSV Columns (optional):**",
+    ...describeColumns(SECTION_COLUMNS),
+    "",
+    "### 🎨 **Image Rendering Examples**",
+    "- **Center product photo:** `Alignment: center, Fitting: cover`",
+    "- **Show top of tall image:** `Alignment: top, Fitting: cover`",
+    "- **Make image 20% larger:** `Scaling: 120%`",
+    "- **Crop bottom-right:** `Alignment: bottom-right, Fitting: cover`",
+    "- **Fit entire image:** `Fitting: contain`",
+    "- **Pixel-perfect positioning:** `Custom: 50px 30px`", // ADD THIS LINE
+    "- **Custom crop:** `Custom: crop-top`", // ADD THIS LINE
+    "",
+    "### 🚀 **Next Steps**",
+    "1. Update your CSV files with the new image rendering columns",
+    "2. Set `Alignment` values: center, top, bottom, left, right, top-left, etc.",
+    "3. Set `Fitting` values: fit, fill, contain, cover, scale-down",
+    "4. Set `Scaling` values: 120%, 80%, 300px, 1.5",
+    "5. Set `Custom` values: 50px 30px, crop-top, center 25%, etc.", // ADD THIS LINE
+    "6. Test the enhanced image rendering system",
+    "7. Only fill columns when you want custom behavior - defaults preserved"
+  ].filter(Boolean).join("\n");
+
+  return {
+    data: enhancedData,
+    report,
+    summary,
+    changes,
+    files,
+    fixedMasterCsv,
+    warnings,
+    errors: hardErrors,
+    exitCode: hardErrors.length ? policyResult.exitCode || 1 : 0,
+  };
+}
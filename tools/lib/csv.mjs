@@ -0,0 +1,163 @@
+// csv.mjs - RFC 4180 CSV parsing shared by the catalog build tools
+//
+// Rows keep track of where they came from so every warning can point an
+// editor at the exact cell: `source` is the file label, `row` is the
+// spreadsheet row number (the header is row 1) and `column` is the header name.
+
+const ROW_META = Symbol("csvRow");
+
+/**
+ * Parse CSV text into header-keyed row objects.
+ * Handles quoted commas/newlines, escaped quotes (""), CRLF, a leading BOM
+ * and ragged rows (missing cells become "", extra cells are reported).
+ * @param {string} text - Raw CSV text
+ * @param {string} source - Label used in warnings (file name or sheet name)
+ * @returns {{ headers: string[], rows: object[], warnings: object[] }}
+ */
+export function parseCSV(text, source = "csv") {
+  const warnings = [];
+  const records = tokenize(String(text || "").replace(/^\uFEFF/, ""), source, warnings);
+
+  const headerRecord = records.shift();
+  if (!headerRecord) return { headers: [], rows: [], warnings };
+
+  const headers = headerRecord.cells.map((h) => h.replace(/\s+/g, " ").trim());
+  const seen = new Set();
+  headers.forEach((h, i) => {
+    if (!h) return;
+    if (seen.has(h)) {
+      warnings.push(csvWarning(source, 1, h, `Duplicate column "${h}" (column ${i + 1}) is ignored; the first one wins`));
+    }
+    seen.add(h);
+  });
+
+  const rows = [];
+  for (const { cells, row } of records) {
+    if (cells.every((c) => c.trim() === "")) continue;
+
+    const extra = cells.slice(headers.length).filter((c) => c.trim() !== "");
+    if (extra.length) {
+      warnings.push(csvWarning(source, row, "", `Row has ${cells.length} cells but only ${headers.length} columns; extra values ignored: ${extra.map((c) => JSON.stringify(c)).join(", ")}`));
+    }
+
+    const obj = {};
+    headers.forEach((h, i) => {
+      if (!h || Object.prototype.hasOwnProperty.call(obj, h)) return;
+      obj[h] = (cells[i] ?? "").trim();
+    });
+    Object.defineProperty(obj, ROW_META, { value: { source, row }, enumerable: false });
+    rows.push(obj);
+  }
+
+  return { headers, rows, warnings };
+}
+
+/**
+ * Location of a parsed row, for warnings.
+ * @param {object} row - Row object returned by parseCSV
+ * @param {string} [column] - Column the warning is about
+ * @returns {{ source: string, row: number|null, column: string }}
+ */
+export function rowLocation(row, column = "") {
+  const meta = row?.[ROW_META];
+  return { source: meta?.source || "", row: meta?.row ?? null, column };
+}
+
+/**
+ * Build a warning object that points at a cell.
+ */
+export function csvWarning(source, row, column, message) {
+  return { source, row, column, message };
+}
+
+/**
+ * Human-readable "file:row [column] message" form of a warning.
+ */
+export function formatWarning(w) {
+  if (typeof w === "string") return w;
+  const where = [w.source, w.row].filter((v) => v !== "" && v != null).join(":");
+  const col = w.column ? ` [${w.column}]` : "";
+  return `${where ? where + col + " " : ""}${w.message}`;
+}
+
+/**
+ * Serialize rows back to RFC 4180 CSV (CRLF line endings). Cells holding
+ * commas, quotes, line breaks or edge whitespace are quoted.
+ * @param {string[]} headers - Column order
+ * @param {object[]} rows - Header-keyed row objects
+ * @returns {string}
+ */
+export function stringifyCSV(headers, rows) {
+  const quote = (v) => {
+    const s = v === undefined || v === null ? "" : String(v);
+    return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [headers, ...rows.map((r) => headers.map((h) => r[h]))];
+  return lines.map((cells) => cells.map(quote).join(",")).join("\r\n") + "\r\n";
+}
+
+// Split text into records of raw cells, tracking the spreadsheet row each
+// record starts on. Quoted fields may span lines; "" inside quotes is a quote.
+function tokenize(text, source, warnings) {
+  const records = [];
+  let cells = [];
+  let cur = "";
+  let inQ = false;
+  let quotedCell = false;
+  let recordNo = 1;
+  let lineNo = 1;
+  let quoteStartLine = 1;
+
+  const endCell = () => {
+    cells.push(cur);
+    cur = "";
+    quotedCell = false;
+  };
+  const endRecord = () => {
+    endCell();
+    records.push({ cells, row: recordNo });
+    cells = [];
+    recordNo++;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQ) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { cur += '"'; i++; }
+        else inQ = false;
+      } else {
+        if (ch === "\n") lineNo++;
+        cur += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      if (cur.trim() === "" && !quotedCell) {
+        // Opening quote; whitespace before it is not part of the value
+        cur = "";
+        inQ = true;
+        quotedCell = true;
+        quoteStartLine = lineNo;
+      } else {
+        // Stray quote inside an unquoted cell: keep it literally
+        cur += ch;
+      }
+      continue;
+    }
+
+    if (ch === ",") { endCell(); continue; }
+    if (ch === "\r" && text[i + 1] === "\n") continue;
+    if (ch === "\n" || ch === "\r") { lineNo++; endRecord(); continue; }
+    cur += ch;
+  }
+
+  if (inQ) {
+    warnings.push(csvWarning(source, recordNo, "", `Unterminated quoted cell starting on line ${quoteStartLine}; read to end of file`));
+  }
+  if (cur !== "" || cells.length) endRecord();
+
+  return records;
+}
@@ -0,0 +1,178 @@
+// diff.mjs - Structured diff between two built catalogs (data.json shapes)
+//
+// Products are matched by path first. Products that disappeared from one path
+// and appeared at another are paired up by node ID, then Drive link, then name,
+// and reported as moved or renamed instead of removed + added. Products still
+// in the catalog whose old ID is gone (a derived ID follows the path) are
+// listed as lostIds, since links shared to that ID stop working.
+
+const TRACKED_FIELDS = ["thumbnail", "topOrder", "section", "driveLink"];
+
+/**
+ * Flatten a catalog tree into path → product summary.
+ * @param {object} tree - catalog.tree from data.json
+ * @returns {Map<string, object>}
+ */
+export function flattenProducts(tree) {
+  const products = new Map();
+  const walk = (node, prefix) => {
+    for (const [key, item] of Object.entries(node || {})) {
+      const segs = [...prefix, key];
+      if (item.isProduct) {
+        products.set(segs.join("/"), {
+          path: segs.join("/"),
+          parent: prefix.join("/"),
+          name: key,
+          id: item.id || "",
+          thumbnail: item.thumbnail || "",
+          topOrder: item.TopOrder ?? item.topOrder ?? 999,
+          section: item.section || "",
+          driveLink: item.driveLink || "",
+        });
+      } else if (item.children) {
+        walk(item.children, segs);
+      }
+    }
+  };
+  walk(tree, []);
+  return products;
+}
+
+// Every ID the tree answers to: node IDs at any depth and collapsed duplicates' aliases
+function publishedIds(tree, ids = new Set()) {
+  for (const item of Object.values(tree || {})) {
+    if (item.id) ids.add(item.id);
+    (item.aliases || []).forEach((alias) => ids.add(alias));
+    if (!item.isProduct) publishedIds(item.children, ids);
+  }
+  return ids;
+}
+
+function fieldChanges(before, after) {
+  const changes = {};
+  for (const field of TRACKED_FIELDS) {
+    if (before[field] !== after[field]) changes[field] = { from: before[field], to: after[field] };
+  }
+  return changes;
+}
+
+// Pair removed/added products that share a key (ID, drive link, name), one-to-one
+function pairBy(removed, added, keyOf) {
+  const pairs = [];
+  const byKey = new Map();
+  for (const p of added.values()) {
+    const k = keyOf(p);
+    if (!k) continue;
+    byKey.set(k, byKey.has(k) ? null : p); // ambiguous keys are not paired
+  }
+  for (const before of [...removed.values()]) {
+    const k = keyOf(before);
+    const after = k ? byKey.get(k) : null;
+    if (!after || !added.has(after.path)) continue;
+    pairs.push([before, after]);
+    removed.delete(before.path);
+    added.delete(after.path);
+  }
+  return pairs;
+}
+
+/**
+ * Diff two catalog trees.
+ * @param {object} prevTree - Previous catalog.tree
+ * @param {object} nextTree - New catalog.tree
+ * @returns {{ counts: object, added: object[], removed: object[], moved: object[], renamed: object[],
+ *   changed: object[], lostIds: object[] }}
+ *   lostIds are { id, from, path, newId } for products still published under another ID
+ */
+export function diffCatalogs(prevTree, nextTree) {
+  const prev = flattenProducts(prevTree);
+  const next = flattenProducts(nextTree);
+
+  const removed = new Map([...prev].filter(([p]) => !next.has(p)));
+  const added = new Map([...next].filter(([p]) => !prev.has(p)));
+
+  const changed = [];
+  for (const [p, after] of next) {
+    const before = prev.get(p);
+    if (!before) continue;
+    const fields = fieldChanges(before, after);
+    if (Object.keys(fields).length) changed.push({ path: p, fields });
+  }
+
+  const pairs = [
+    ...pairBy(removed, added, (p) => p.id),
+    ...pairBy(removed, added, (p) => p.driveLink),
+    ...pairBy(removed, added, (p) => p.name.toLowerCase()),
+  ];
+
+  const moved = [];
+  const renamed = [];
+  for (const [before, after] of pairs) {
+    const entry = { from: before.path, to: after.path };
+    const fields = fieldChanges(before, after);
+    if (Object.keys(fields).length) entry.fields = fields;
+    if (before.parent === after.parent) renamed.push(entry);
+    else moved.push({ ...entry, renamed: before.name !== after.name });
+  }
+
+  const ids = publishedIds(nextTree);
+  const lostIds = [
+    ...[...next].filter(([p]) => prev.has(p)).map(([p, after]) => [prev.get(p), after]),
+    ...pairs,
+  ]
+    .filter(([before]) => before.id && !ids.has(before.id))
+    .map(([before, after]) => ({ id: before.id, from: before.path, path: after.path, newId: after.id }));
+
+  const list = (m) => [...m.values()].map(({ path, driveLink }) => ({ path, driveLink }));
+  const result = {
+    added: list(added),
+    removed: list(removed),
+    moved,
+    renamed,
+    changed,
+    lostIds,
+  };
+  result.counts = Object.fromEntries(Object.entries(result).map(([k, v]) => [k, v.length]));
+  return result;
+}
+
+/**
+ * Markdown section for GITHUB_STEP_SUMMARY.
+ * @param {object} changes - Result of diffCatalogs plus baseline info
+ * @param {number} [limit] - Max lines listed per change type
+ * @returns {string[]}
+ */
+export function describeChanges(changes, limit = 25) {
+  if (!changes.baseline) {
+    return ["### 🔄 **Changes Since Last Build**", `- No baseline to compare against${changes.reason ? `: ${changes.reason}` : ""}`];
+  }
+
+  const { counts } = changes;
+  const lines = [
+    "### 🔄 **Changes Since Last Build**",
+    `- **Compared with:** ${changes.baseline.location}${changes.baseline.buildTime ? ` (built ${changes.baseline.buildTime})` : ""}`,
+    `- **Added:** ${counts.added} · **Removed:** ${counts.removed} · **Moved:** ${counts.moved} · **Renamed:** ${counts.renamed} · **Changed:** ${counts.changed}${counts.lostIds ? ` · **IDs lost:** ${counts.lostIds}` : ""}`,
+  ];
+  if (Object.values(counts).every((n) => n === 0)) {
+    lines.push("- ✅ No product changes");
+    return lines;
+  }
+
+  const section = (title, items, fmt) => {
+    if (!items.length) return;
+    // A heading of its own: the summary drops empty lines, so a bold line
+    // would run on from the previous list in markdown
+    lines.push(`#### ${title}`);
+    items.slice(0, limit).forEach((i) => lines.push(`- ${fmt(i)}`));
+    if (items.length > limit) lines.push(`- …and ${items.length - limit} more (see build/changes.json)`);
+  };
+  const fields = (f) => Object.entries(f || {}).map(([k, v]) => `${k}: \`${v.from}\` → \`${v.to}\``).join(", ");
+
+  section("➕ Added", changes.added, (i) => `\`${i.path}\``);
+  section("➖ Removed", changes.removed, (i) => `\`${i.path}\``);
+  section("📦 Moved", changes.moved, (i) => `\`${i.from}\` → \`${i.to}\`${i.fields ? ` (${fields(i.fields)})` : ""}`);
+  section("✏️ Renamed", changes.renamed, (i) => `\`${i.from}\` → \`${i.to}\`${i.fields ? ` (${fields(i.fields)})` : ""}`);
+  section("🔧 Changed", changes.changed, (i) => `\`${i.path}\`: ${fields(i.fields)}`);
+  section("🔗 IDs no longer published", changes.lostIds, (i) => `\`${i.id}\` (\`${i.from}\`, now \`${i.newId}\`)`);
+  return lines;
+}
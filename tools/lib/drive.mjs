@@ -0,0 +1,108 @@
+// drive.mjs - Parse, classify and normalize Google Drive share links
+//
+// The sheet holds whatever Drive's share dialogs produced over the years:
+//
+//   https://drive.google.com/file/d/<id>/view?usp=sharing     → file
+//   https://drive.google.com/uc?id=<id>&export=download        → file
+//   https://drive.google.com/drive/u/0/folders/<id>            → folder
+//   https://drive.google.com/open?id=<id>                      → item
+//
+// `open?id=` links work for files and folders alike and do not say which, so
+// they are classified "item" and keep that form. Everything else is rewritten
+// to one canonical URL per type. A `resourcekey` parameter (required by some
+// older shared items) is kept.
+
+export const DRIVE_LINK_TYPES = {
+  file: "file",
+  folder: "folder",
+  item: "file or folder (open?id= links do not say which)",
+};
+
+// Summary labels for parseDriveLink() failure kinds
+export const DRIVE_LINK_PROBLEMS = {
+  bareId: "bare IDs",
+  docs: "Google Docs links",
+  wrongDomain: "wrong domain",
+  malformed: "malformed",
+};
+
+// Drive IDs are long runs of letters, digits, - and _ (19 to 44 characters in
+// practice); anything much shorter is a typo or a truncated paste
+const DRIVE_ID = /^[A-Za-z0-9_-]{15,}$/;
+const DOCS_HOST = /^docs\.google\.com$/i;
+const DRIVE_HOST = /^(www\.)?drive\.google\.com$/i;
+
+/**
+ * Canonical share URL for a Drive ID.
+ * @param {"file"|"folder"|"item"} type
+ * @param {string} id
+ * @param {string} [resourceKey]
+ * @returns {string}
+ */
+export function canonicalDriveUrl(type, id, resourceKey = "") {
+  const key = resourceKey ? `resourcekey=${encodeURIComponent(resourceKey)}` : "";
+  if (type === "folder") return `https://drive.google.com/drive/folders/${id}${key ? `?${key}` : ""}`;
+  if (type === "file") return `https://drive.google.com/file/d/${id}/view${key ? `?${key}` : ""}`;
+  return `https://drive.google.com/open?id=${id}${key ? `&${key}` : ""}`;
+}
+
+// Type and ID from a drive.google.com URL, or null when neither is recognised
+function classify(url) {
+  const p = url.pathname;
+  const q = url.searchParams;
+  let match;
+  if ((match = p.match(/^\/file\/(?:u\/\d+\/)?d\/([^/]+)/))) return { type: "file", id: match[1] };
+  if ((match = p.match(/^\/drive\/(?:u\/\d+\/)?(?:mobile\/)?folders\/([^/]+)/))) return { type: "folder", id: match[1] };
+  if (/^\/(uc|thumbnail)\/?$/.test(p) && q.get("id")) return { type: "file", id: q.get("id") };
+  if (/^\/folderview\/?$/.test(p) && q.get("id")) return { type: "folder", id: q.get("id") };
+  if (/^\/open\/?$/.test(p) && q.get("id")) return { type: "item", id: q.get("id") };
+  return null;
+}
+
+/**
+ * Parse a Drive link cell.
+ * @param {string} text - Cell value as typed
+ * @returns {{ ok: true, type: string, id: string, url: string, normalized: boolean }
+ *   | { ok: false, kind: string, message: string }}
+ *   kind is bareId | docs | wrongDomain | malformed
+ */
+export function parseDriveLink(text) {
+  const raw = String(text || "").trim();
+
+  if (DRIVE_ID.test(raw) && !raw.includes(".")) {
+    return {
+      ok: false, kind: "bareId",
+      message: `only a Drive ID was pasted → use the full share link, e.g. ${canonicalDriveUrl("item", raw)}`,
+    };
+  }
+
+  let url;
+  try {
+    // Links pasted without a scheme ("drive.google.com/...") are accepted
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch {
+    return { ok: false, kind: "malformed", message: "not a URL → paste the link from Drive's Share dialog" };
+  }
+
+  if (DOCS_HOST.test(url.hostname)) {
+    const id = url.pathname.match(/\/d\/([^/]+)/)?.[1];
+    return {
+      ok: false, kind: "docs",
+      message: `is a Google Docs editor link → share it from Drive instead${id ? ` (${canonicalDriveUrl("file", id)})` : ""}`,
+    };
+  }
+  if (!DRIVE_HOST.test(url.hostname)) {
+    return { ok: false, kind: "wrongDomain", message: `points to ${url.hostname}, not drive.google.com` };
+  }
+
+  const found = classify(url);
+  if (!found) {
+    return { ok: false, kind: "malformed", message: "no file or folder ID in the link → copy it again from Drive's Share dialog" };
+  }
+  if (!DRIVE_ID.test(found.id)) {
+    return { ok: false, kind: "malformed", message: `Drive ID "${found.id}" is too short or has stray characters → copy the link again from Drive's Share dialog` };
+  }
+
+  const canonical = canonicalDriveUrl(found.type, found.id, url.searchParams.get("resourcekey") || "");
+  return { ok: true, type: found.type, id: found.id, url: canonical, normalized: canonical !== raw };
+}
@@ -0,0 +1,177 @@
+// duplicates.mjs - Products filed more than once in the catalog
+//
+// The same bag often sits under two paths
+// (Bags/Bottega-Veneta/Others/The-Mini-Pouch and .../Pouch/The-Mini-Pouch).
+// Three signals link two products: the same Drive link, thumbnail files with
+// the same bytes (whatever they are called), and near-identical names under
+// the same designer (the first two path segments). Linked products form a
+// cluster whose canonical product is the first one in sheet order.
+//
+// Names are weak evidence: "Kelly 25" and "Kelly 28" are one edit apart but
+// different bags, so names are compared word by word with numbers and single
+// letters matching exactly, and a cluster is only collapsed when its products
+// are linked by Drive links or image bytes alone.
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { editDistance, segmentKeys } from "./thumbs.mjs";
+import { flattenProducts } from "./diff.mjs";
+
+export const DUPLICATE_SIGNALS = {
+  driveLink: "same Drive link",
+  thumbnail: "same thumbnail image",
+  name: "near-identical name",
+};
+const STRONG_SIGNALS = ["driveLink", "thumbnail"];
+
+// Union-find over product paths
+function components(paths) {
+  const parent = new Map(paths.map((p) => [p, p]));
+  const find = (p) => (parent.get(p) === p ? p : find(parent.get(p)));
+  return {
+    union: (a, b) => parent.set(find(b), find(a)),
+    groups: () => {
+      const groups = new Map();
+      for (const p of paths) {
+        const root = find(p);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(p);
+      }
+      return [...groups.values()].filter((g) => g.length > 1);
+    },
+  };
+}
+
+// Words of a name with accents, case and punctuation folded away
+// ("The-Mini-Pouch" → ["the", "mini", "pouch"])
+const nameWords = (name) => segmentKeys(name)[0].split("-").filter(Boolean);
+const numbers = (name) => (name.match(/\d+/g) || []).join(",");
+
+// Names compared word by word: the same number of words, each within one edit
+// per five letters of the shorter word, and one edit per ten characters of the
+// shorter name overall. Numbers and single letters name a model or size
+// ("Kelly 25", "Kan I F"), so they must match exactly. Names that only differ
+// in spacing or punctuation ("MiniPouch", "Mini-Pouch") always match.
+function similarNames(a, b) {
+  if (numbers(a.name) !== numbers(b.name)) return false;
+  const wa = nameWords(a.name);
+  const wb = nameWords(b.name);
+  const ka = wa.join("");
+  const kb = wb.join("");
+  if (ka === kb) return true;
+  if (wa.length !== wb.length) return false;
+  // Words under five letters (so every number and single letter) allow no edit
+  const wordsMatch = wa.every((w, i) => editDistance(w, wb[i]) <= Math.floor(Math.min(w.length, wb[i].length) / 5));
+  const limit = Math.floor(Math.min(ka.length, kb.length) / 10);
+  return wordsMatch && editDistance(ka, kb) <= limit;
+}
+
+async function hashFile(file) {
+  try {
+    return crypto.createHash("sha256").update(await fs.readFile(file)).digest("hex");
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Find duplicate products.
+ * @param {object} tree - Built catalog tree
+ * @param {object} [options]
+ * @param {string} [options.thumbsDir] - public/thumbs; without it images are not compared
+ * @param {string} [options.placeholderThumb] - Shared by design, never a signal
+ * @returns {Promise<{ clusters: object[], signals: object }>}
+ *   clusters are { canonical, duplicates, signals, collapsible } with
+ *   canonical/duplicates as { path, id }; signals counts the groups of
+ *   products sharing each signal
+ */
+export async function findDuplicates(tree, { thumbsDir = "", placeholderThumb = "" } = {}) {
+  const products = [...flattenProducts(tree).values()];
+  const paths = products.map((p) => p.path);
+  const all = components(paths);
+  const strong = components(paths);
+  const signalsOf = new Map(paths.map((p) => [p, new Set()]));
+  const signals = Object.fromEntries(Object.keys(DUPLICATE_SIGNALS).map((key) => [key, 0]));
+
+  const link = (signal, group) => {
+    signals[signal]++;
+    for (const p of group) signalsOf.get(p).add(signal);
+    for (const p of group.slice(1)) {
+      all.union(group[0], p);
+      if (STRONG_SIGNALS.includes(signal)) strong.union(group[0], p);
+    }
+  };
+  const groupBy = (keyOf) => {
+    const groups = new Map();
+    for (const p of products) {
+      const key = keyOf(p);
+      if (!key) continue;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(p.path);
+    }
+    return [...groups.values()].filter((g) => g.length > 1);
+  };
+
+  groupBy((p) => p.driveLink).forEach((group) => link("driveLink", group));
+
+  if (thumbsDir) {
+    const hashes = new Map();
+    for (const p of products) {
+      if (!p.thumbnail || p.thumbnail === placeholderThumb || hashes.has(p.thumbnail)) continue;
+      hashes.set(p.thumbnail, await hashFile(path.join(thumbsDir, p.thumbnail.replace(/^\/?thumbs\//, ""))));
+    }
+    groupBy((p) => hashes.get(p.thumbnail)).forEach((group) => link("thumbnail", group));
+  }
+
+  const byDesigner = groupBy((p) => p.path.split("/").slice(0, 2).join("/"));
+  const byPath = new Map(products.map((p) => [p.path, p]));
+  for (const group of byDesigner) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        if (similarNames(byPath.get(group[i]), byPath.get(group[j]))) link("name", [group[i], group[j]]);
+      }
+    }
+  }
+
+  const strongGroups = new Set(strong.groups().map((g) => g.join("\n")));
+  const clusters = all.groups().map((group) => {
+    const [canonical, ...duplicates] = group.map((p) => ({ path: p, id: byPath.get(p).id }));
+    return {
+      canonical,
+      duplicates,
+      signals: Object.keys(DUPLICATE_SIGNALS).filter((s) => group.some((p) => signalsOf.get(p).has(s))),
+      collapsible: strongGroups.has(group.join("\n")),
+    };
+  });
+
+  return { clusters, signals };
+}
+
+/**
+ * Collapse clusters into their canonical product: duplicates leave the tree
+ * (with any folder they leave empty) and their IDs become the canonical
+ * product's `aliases`, so links to them keep working.
+ * @param {object} tree - Built catalog tree, changed in place
+ * @param {object[]} clusters - findDuplicates() clusters; only collapsible ones are used
+ * @returns {number} products removed
+ */
+export function collapseDuplicates(tree, clusters) {
+  const nodeAt = (segs) => segs.reduce((node, key) => node?.children?.[key], { children: tree });
+  let removed = 0;
+  for (const cluster of clusters.filter((c) => c.collapsible)) {
+    const canonical = nodeAt(cluster.canonical.path.split("/"));
+    for (const duplicate of cluster.duplicates) {
+      const segs = duplicate.path.split("/");
+      for (let depth = segs.length; depth > 0; depth--) {
+        const parent = depth > 1 ? nodeAt(segs.slice(0, depth - 1)).children : tree;
+        const key = segs[depth - 1];
+        if (depth < segs.length && Object.keys(parent[key].children || {}).length) break;
+        delete parent[key];
+      }
+      canonical.aliases = [...(canonical.aliases || []), duplicate.id];
+      removed++;
+    }
+  }
+  return removed;
+}
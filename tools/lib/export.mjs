@@ -0,0 +1,228 @@
+// export.mjs - Brands, master and sections CSVs rebuilt from a published data.json
+//
+// Recovers the sheet from a deployed site, or moves it to another
+// spreadsheet: every brand becomes a brands row and every product or folder
+// the sheet had a row for becomes a master row. Folders that only exist
+// because a deeper path mentions them get no row, and neither do values the
+// build works out by itself (thumbnails found in public/thumbs or taken from
+// children, derived IDs, a child's image config on its folder); the export
+// builds its own CSVs and pins a value into its cell only where leaving it out
+// would change the tree. With `annotate` such values are still shown, in
+// "<column> (built)" columns the build ignores. Brands with homepage sections
+// get sections rows in display order, plus a hidden row for each top-level
+// section they leave out.
+//
+// data.json does not carry base prices, markups, rounding, publishing windows
+// or hidden rows, so those cells stay empty and are listed in `lost`.
+
+import { stringifyCSV } from "./csv.mjs";
+import { buildCatalog } from "./catalog.mjs";
+import { BRAND_COLUMNS, MASTER_COLUMNS, SECTION_COLUMNS } from "../../public/catalog-schema.js";
+import { migrateData } from "../../public/data-schema.js";
+
+// Node fields the build may fill in without a cell, and the column that pins them
+const DERIVED = ["id", "thumbnail", "alignment", "fitting", "scaling"];
+const ANNOTATION = " (built)";
+const MAX_PASSES = 5;
+
+const isBlank = (v) => v === undefined || v === "" || (Array.isArray(v) && v.length === 0);
+const cellText = (v) => (Array.isArray(v) ? v.join(", ") : isBlank(v) ? "" : String(v));
+
+function brandRow(slug, brand) {
+  const row = Object.fromEntries(Object.values(BRAND_COLUMNS).map((c) => [c.header, ""]));
+  const set = (key, value) => { row[BRAND_COLUMNS[key].header] = cellText(value); };
+  set("slug", slug);
+  set("name", brand.name);
+  ["tagline", "heroTitle", "heroSubtitle", "footerText", "whatsapp", "defaultCategory", "currency"].forEach((key) => set(key, brand[key]));
+  set("primaryColor", brand.colors?.primary);
+  set("accentColor", brand.colors?.accent);
+  set("textColor", brand.colors?.text);
+  set("bgColor", brand.colors?.bg);
+  set("categories", (brand.scope || []).join("; "));
+  return row;
+}
+
+// Sections rows for the brands that publish `sections`; null when none does
+function sectionsCsv(brands, catalog) {
+  const records = [];
+  const record = (cells) => Object.fromEntries(Object.entries(SECTION_COLUMNS).map(([key, c]) => [c.header, cellText(cells[key])]));
+  for (const [slug, brand] of Object.entries(brands)) {
+    if (!brand.sections) continue;
+    brand.sections.forEach((section, i) => {
+      const { name, items, title, subtitle, limit } = section;
+      records.push(record({ brand: slug, section: name, title, subtitle, order: i + 1, items, limit }));
+    });
+    const listed = new Set(brand.sections.map((section) => section.name));
+    (catalog.sections || []).filter((name) => !listed.has(name)).forEach((name) => {
+      records.push(record({ brand: slug, section: name, visible: "no" }));
+    });
+  }
+  return records.length ? stringifyCSV(Object.values(SECTION_COLUMNS).map((c) => c.header), records) : null;
+}
+
+// Master rows in tree order: products, and folders with their own row (only
+// those have a section)
+function masterRows(tree) {
+  const rows = [];
+  const walk = (children, prefix) => {
+    for (const [key, node] of Object.entries(children)) {
+      const segs = [...prefix, key];
+      if (node.isProduct || node.section !== undefined) {
+        const cells = { name: key, relativePath: segs.join("/"), section: node.section };
+        if (node.topOrder !== 999) cells.topOrder = node.topOrder;
+        for (const field of ["category", "driveLink", "sku", "material", "colors", "sizes", "condition", "dimensions", "description", "status"]) {
+          cells[field] = node[field];
+        }
+        rows.push({ path: segs.join("/"), node, cells, pinned: new Set() });
+      }
+      if (!node.isProduct && node.children) walk(node.children, segs);
+    }
+  };
+  walk(tree, []);
+  return rows;
+}
+
+function masterCsv(rows, annotate) {
+  const headers = Object.values(MASTER_COLUMNS).map((c) => c.header);
+  if (annotate) headers.push(...DERIVED.map((key) => MASTER_COLUMNS[key].header + ANNOTATION));
+  const records = rows.map(({ node, cells, pinned }) => {
+    const record = Object.fromEntries(headers.map((h) => [h, ""]));
+    for (const [key, value] of Object.entries(cells)) record[MASTER_COLUMNS[key].header] = cellText(value);
+    for (const key of pinned) record[MASTER_COLUMNS[key].header] = cellText(node[key]);
+    if (annotate) {
+      DERIVED.filter((key) => !pinned.has(key)).forEach((key) => {
+        record[MASTER_COLUMNS[key].header + ANNOTATION] = cellText(node[key]);
+      });
+    }
+    return record;
+  });
+  return stringifyCSV(headers, records);
+}
+
+// Comparable form of a node without its children or aliases (those come from
+// collapsing duplicates, not from a cell); empty values and absent fields
+// mean the same thing to the storefront
+function nodeFields(node) {
+  return Object.fromEntries(Object.entries(node)
+    .filter(([key, value]) => key !== "children" && key !== "aliases" && !isBlank(value))
+    .map(([key, value]) => [key, JSON.stringify(value)]));
+}
+
+/**
+ * Differences between two built catalogs, node by node.
+ * @param {object} expected - catalog of the exported data.json
+ * @param {object} actual - catalog built from the exported CSVs
+ * @returns {{ path: string, field: string, expected: *, actual: * }[]}
+ *   field is "" when a node exists on only one side
+ */
+export function diffCatalogs(expected, actual) {
+  const diffs = [];
+  const walk = (a = {}, b = {}, prefix) => {
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      const path = [...prefix, key].join("/");
+      if (!a[key] || !b[key]) {
+        diffs.push({ path, field: "", expected: a[key] ? "node" : "nothing", actual: b[key] ? "node" : "nothing" });
+        continue;
+      }
+      const fa = nodeFields(a[key]);
+      const fb = nodeFields(b[key]);
+      for (const field of new Set([...Object.keys(fa), ...Object.keys(fb)])) {
+        if (fa[field] !== fb[field]) diffs.push({ path, field, expected: a[key][field], actual: b[key][field] });
+      }
+      walk(a[key].children, b[key].children, [...prefix, key]);
+    }
+  };
+  walk(expected.tree, actual.tree, []);
+  for (const field of ["totalProducts", "sections", "sectionStats"]) {
+    if (JSON.stringify(expected[field]) !== JSON.stringify(actual[field])) {
+      diffs.push({ path: "", field, expected: expected[field], actual: actual[field] });
+    }
+  }
+  return diffs;
+}
+
+// Brands that differ; currency only comes with a markup, which is not exported
+function diffBrands(expected, actual) {
+  const comparable = ({ currency, ...brand } = {}) => JSON.stringify(nodeFields(brand));
+  return [...new Set([...Object.keys(expected), ...Object.keys(actual)])]
+    .filter((slug) => comparable(expected[slug]) !== comparable(actual[slug]))
+    .map((slug) => ({ path: `brands/${slug}`, field: "", expected: expected[slug], actual: actual[slug] }));
+}
+
+/**
+ * Export data.json as brands, master and sections CSVs that build the same tree.
+ * @param {object} data - Parsed data.json (any schema version migrateData() accepts)
+ * @param {object} [options]
+ * @param {string} [options.thumbsDir] - public/thumbs, as the re-import will see it
+ * @param {string} [options.placeholderThumb] - The build's placeholder thumbnail
+ * @param {boolean} [options.annotate] - Add "<column> (built)" columns with the
+ *   values the build fills in by itself
+ * @returns {Promise<{ brandsCsv: string, masterCsv: string, sectionsCsv: string|null,
+ *   brands: number, rows: number, pinned: object, passes: number, differences: object[],
+ *   lost: string[] }>}
+ *   pinned counts cells filled in per column; differences are what still
+ *   differs after re-importing (empty when the round trip is exact); sectionsCsv
+ *   is null when no brand has homepage sections
+ * @throws {DataSchemaError} when data is not a data.json this code understands
+ */
+export async function exportCatalog(data, { thumbsDir = "", placeholderThumb = "/thumbs/_placeholder.webp", annotate = false } = {}) {
+  data = migrateData(data);
+  const sharded = Object.entries(data.catalog.tree).filter(([, node]) => node.shard).map(([key]) => key);
+  if (sharded.length) {
+    throw new Error(`${sharded.join(", ")} only point to shards; export data.json, not catalog/index.json or a brand view`);
+  }
+
+  const brandsCsv = stringifyCSV(
+    Object.values(BRAND_COLUMNS).map((c) => c.header),
+    Object.entries(data.brands).map(([slug, brand]) => brandRow(slug, brand)),
+  );
+  const sections = sectionsCsv(data.brands, data.catalog);
+  const rows = masterRows(data.catalog.tree);
+  const byPath = new Map(rows.map((row) => [row.path, row]));
+
+  // Re-import until nothing left to pin changes the outcome
+  let differences = [];
+  let passes = 0;
+  while (passes < MAX_PASSES) {
+    passes++;
+    const rebuilt = await buildCatalog({
+      brandsCsv,
+      masterCsv: masterCsv(rows, false),
+      sectionsCsv: sections,
+      thumbsDir,
+      options: { placeholderThumb, buildTime: data.meta.buildTime, log: () => {} },
+    });
+    differences = [...diffBrands(data.brands, rebuilt.data.brands), ...diffCatalogs(data.catalog, rebuilt.data.catalog)];
+    let pinnedMore = false;
+    for (const diff of differences) {
+      const row = byPath.get(diff.path);
+      if (!row || !DERIVED.includes(diff.field) || row.pinned.has(diff.field) || isBlank(row.node[diff.field])) continue;
+      row.pinned.add(diff.field);
+      pinnedMore = true;
+    }
+    if (!pinnedMore) break;
+  }
+
+  const pinned = Object.fromEntries(DERIVED.map((key) => [key, rows.filter((r) => r.pinned.has(key)).length]));
+  const lost = [
+    "Price: base prices are not published",
+    "PublishFrom/PublishUntil and Status Hidden: rows left out by them are not in data.json, and windows are not published",
+  ];
+  const aliased = rows.filter((r) => r.node.aliases?.length).length;
+  if (aliased) lost.push(`${aliased} product(s) carry the IDs of collapsed duplicates, which the sheet has no column for`);
+  Object.entries(data.brands).filter(([, brand]) => brand.currency).forEach(([slug]) => {
+    lost.push(`Brand ${slug}: markup and rounding are not published; fill them in to show prices again`);
+  });
+
+  return {
+    brandsCsv,
+    masterCsv: masterCsv(rows, annotate),
+    sectionsCsv: sections,
+    brands: Object.keys(data.brands).length,
+    rows: rows.length,
+    pinned,
+    passes,
+    differences,
+    lost,
+  };
+}
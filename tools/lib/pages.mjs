@@ -0,0 +1,150 @@
+// pages.mjs - Pre-rendered entry pages so shared links get a proper preview
+//
+// Link previews (WhatsApp, Instagram, Facebook) read a page's HTML without
+// running script.js, so every brand × catalog node gets its own copy of
+// index.html at shop/<brand>/<slug path>/ with the node's title, description,
+// og:image and canonical URL. `window.__INITIAL_ROUTE__` tells the SPA which
+// route the page stands for. og:image and canonical URLs must be absolute, so
+// without a site URL they are left out and no sitemap is written.
+
+import { ENTRY_PAGES_DIR, readField, slugify } from "../../public/catalog-schema.js";
+
+export const PAGES_DIR = ENTRY_PAGES_DIR;
+
+const escapeAttr = (text) => String(text)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+// Same text as the SPA's product cards
+function productDescription(node, name, brandName) {
+  const description = readField(node, "description");
+  if (description) return description;
+  const colors = readField(node, "colors");
+  const summary = [readField(node, "material"), colors.join(", "), readField(node, "condition")].filter(Boolean).join(" · ");
+  return summary ? `${name}: ${summary}` : `${name} from ${brandName}`;
+}
+
+/**
+ * Copy of the index.html template with a page's head tags and route.
+ * @param {string} template - public/index.html
+ * @param {object} page - { title, description, url, image, type, siteName, route }
+ * @returns {string}
+ */
+export function renderPage(template, page) {
+  const tags = [
+    `<title>${escapeAttr(page.title)}</title>`,
+    `<meta name="description" content="${escapeAttr(page.description)}" />`,
+    page.url ? `<link rel="canonical" href="${escapeAttr(page.url)}" />` : "",
+    `<meta property="og:type" content="${page.type}" />`,
+    `<meta property="og:site_name" content="${escapeAttr(page.siteName)}" />`,
+    `<meta property="og:title" content="${escapeAttr(page.title)}" />`,
+    `<meta property="og:description" content="${escapeAttr(page.description)}" />`,
+    page.url ? `<meta property="og:url" content="${escapeAttr(page.url)}" />` : "",
+    page.image ? `<meta property="og:image" content="${escapeAttr(page.image)}" />` : "",
+    `<meta name="twitter:card" content="${page.image ? "summary_large_image" : "summary"}" />`,
+  ].filter(Boolean).join("\n  ");
+  // `<` is escaped so a name can never close the script element
+  const route = `<script>window.__INITIAL_ROUTE__ = ${JSON.stringify(page.route).replace(/</g, "\\u003c")};</script>`;
+
+  return template
+    .replace(/<title>[\s\S]*?<\/title>/, tags)
+    .replace(/(\s*)<script src="\/script\.js"/, `$1${route}$1<script src="/script.js"`);
+}
+
+/**
+ * Entry pages for every brand storefront, plus sitemap.xml and robots.txt.
+ * @param {object} data - Built data.json
+ * @param {string} template - public/index.html
+ * @param {object} [options]
+ * @param {string} [options.siteUrl] - Public origin, e.g. https://shop.example.com
+ * @param {string} [options.buildTime] - ISO time used as the sitemap's lastmod
+ * @param {string} [options.placeholderThumb] - Never used as og:image
+ * @param {object} [options.views] - Scoped catalog per brand key; other brands get the whole catalog
+ * @returns {{ files: { file: string, text: string }[], pages: number }}
+ *   files are relative to public/
+ */
+export function renderPages(data, template, { siteUrl = "", buildTime = "", placeholderThumb = "", views = {} } = {}) {
+  const origin = siteUrl.replace(/\/+$/, "");
+  const absolute = (sitePath) => (origin ? origin + encodeURI(sitePath) : "");
+  // A folder without its own thumbnail is previewed with its first product's
+  const imageOf = (node) => {
+    if (node?.thumbnail && node.thumbnail !== placeholderThumb) return absolute(node.thumbnail);
+    return Object.values(node?.children || {}).map(imageOf).find(Boolean) || "";
+  };
+
+  const files = [];
+  const urls = [];
+  const addPage = (dir, page) => {
+    const sitePath = `/${dir}/`;
+    const url = absolute(sitePath);
+    files.push({ file: `${dir}/index.html`, text: renderPage(template, { ...page, url }) });
+    if (url) urls.push(url);
+  };
+
+  for (const [brandKey, brand] of Object.entries(data.brands || {})) {
+    const brandName = brand.name || brandKey;
+    const catalog = views[brandKey] || data.catalog;
+    const base = `${PAGES_DIR}/${slugify(brandKey)}`;
+    const firstImage = Object.values(catalog.tree).map(imageOf).find(Boolean) || "";
+
+    addPage(base, {
+      title: `${brandName} - Luxury Collection`,
+      description: brand.heroSubtitle || brand.tagline || `Curated premium products from ${brandName}.`,
+      image: firstImage,
+      type: "website",
+      siteName: brandName,
+      route: { brand: brandKey },
+    });
+
+    const walk = (node, slugs) => {
+      for (const [key, item] of Object.entries(node || {})) {
+        const here = [...slugs, item.slug || slugify(key)];
+        const dir = `${base}/${here.join("/")}`;
+        if (item.isProduct) {
+          const category = readField(item, "category");
+          addPage(dir, {
+            title: `${key} - ${brandName}`,
+            description: productDescription(item, key, brandName) + (category && !readField(item, "description") ? ` (${category})` : ""),
+            image: imageOf(item),
+            type: "product",
+            siteName: brandName,
+            route: { brand: brandKey, product: item.id },
+          });
+          continue;
+        }
+        addPage(dir, {
+          title: `${key} Collection - ${brandName}`,
+          description: `Explore ${item.count || 0} items in ${key} at ${brandName}.`,
+          image: imageOf(item),
+          type: "website",
+          siteName: brandName,
+          route: { brand: brandKey, slug: here.join("/"), id: item.id },
+        });
+        walk(item.children, here);
+      }
+    };
+    walk(catalog.tree, []);
+  }
+
+  const pages = files.length;
+  const robots = ["User-agent: *", "Allow: /"];
+  if (origin) {
+    const lastmod = buildTime ? `<lastmod>${buildTime.slice(0, 10)}</lastmod>` : "";
+    files.push({
+      file: "sitemap.xml",
+      text: [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls.map((url) => `  <url><loc>${escapeAttr(url)}</loc>${lastmod}</url>`),
+        "</urlset>",
+        "",
+      ].join("\n"),
+    });
+    robots.push(`Sitemap: ${origin}/sitemap.xml`);
+  }
+  files.push({ file: "robots.txt", text: robots.join("\n") + "\n" });
+
+  return { files, pages };
+}
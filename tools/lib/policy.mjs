@@ -0,0 +1,111 @@
+// policy.mjs - Quality policy: thresholds that turn build warnings into errors
+//
+// With no policy the build only reports. Thresholds come from a JSON file
+// (`--policy <file>`, QUALITY_POLICY_FILE, or quality-policy.json in the repo
+// root), single values can be overridden with the QUALITY_MAX_* env vars, and
+// strict mode (`--strict` or STRICT=1) sets every threshold to 0.
+//
+//   { "maxMissingThumbnails": 25, "maxInvalidDriveLinks": 0, "maxDuplicateBrandSlugs": 0 }
+//
+// A threshold is the largest count that still passes; null means no limit.
+// Each rule has its own exit code so CI can tell why a build failed; when
+// several rules are breached the first one in POLICY_RULES order wins.
+
+import fs from "node:fs/promises";
+
+export const POLICY_RULES = {
+  missingThumbnails: {
+    setting: "maxMissingThumbnails", env: "QUALITY_MAX_MISSING_THUMBNAILS", exitCode: 10,
+    label: "Missing thumbnails",
+  },
+  invalidDriveLinks: {
+    setting: "maxInvalidDriveLinks", env: "QUALITY_MAX_INVALID_DRIVE_LINKS", exitCode: 11,
+    label: "Invalid Drive links",
+  },
+  duplicateBrandSlugs: {
+    setting: "maxDuplicateBrandSlugs", env: "QUALITY_MAX_DUPLICATE_BRAND_SLUGS", exitCode: 12,
+    label: "Duplicate brand slugs",
+  },
+  invalidColors: {
+    setting: "maxInvalidColors", env: "QUALITY_MAX_INVALID_COLORS", exitCode: 13,
+    label: "Invalid brand colors",
+  },
+  warnings: {
+    setting: "maxWarnings", env: "QUALITY_MAX_WARNINGS", exitCode: 14,
+    label: "Warnings",
+  },
+};
+
+function parseLimit(value, where) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = typeof value === "number" ? value : Number(String(value).trim());
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`${where}: expected a whole number ≥ 0 or null, got ${JSON.stringify(value)}`);
+  }
+  return n;
+}
+
+/**
+ * Load the quality policy.
+ * @param {object} options
+ * @param {string} [options.file] - Policy JSON path; missing default files are skipped
+ * @param {boolean} [options.required] - Fail when `file` does not exist
+ * @param {boolean} [options.strict] - Set every threshold to 0 (overrides file and env)
+ * @param {object} [options.env] - Environment (process.env)
+ * @returns {Promise<{ sources: string[], strict: boolean, thresholds: object }>}
+ */
+export async function loadPolicy({ file, required = false, strict = false, env = {} } = {}) {
+  const thresholds = Object.fromEntries(Object.values(POLICY_RULES).map((r) => [r.setting, null]));
+  const sources = [];
+
+  if (file) {
+    let text = null;
+    try {
+      text = await fs.readFile(file, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT" || required) throw new Error(`Cannot read policy file ${file}: ${err.message}`);
+    }
+    if (text !== null) {
+      let config;
+      try {
+        config = JSON.parse(text);
+      } catch (err) {
+        throw new Error(`Policy file ${file} is not valid JSON: ${err.message}`);
+      }
+      for (const [key, value] of Object.entries(config)) {
+        if (!(key in thresholds)) throw new Error(`Policy file ${file}: unknown setting "${key}"`);
+        thresholds[key] = parseLimit(value, `Policy file ${file} (${key})`);
+      }
+      sources.push(file);
+    }
+  }
+
+  for (const rule of Object.values(POLICY_RULES)) {
+    if (env[rule.env] === undefined || env[rule.env] === "") continue;
+    thresholds[rule.setting] = parseLimit(env[rule.env], rule.env);
+    sources.push(rule.env);
+  }
+
+  if (strict) {
+    for (const key of Object.keys(thresholds)) thresholds[key] = 0;
+    sources.push("strict");
+  }
+
+  return { sources, strict, thresholds };
+}
+
+/**
+ * Check build counts against the policy.
+ * @param {object} policy - Result of loadPolicy()
+ * @param {object} counts - Count per POLICY_RULES key
+ * @returns {{ passed: boolean, exitCode: number, rules: object[], breaches: object[] }}
+ */
+export function evaluatePolicy(policy, counts) {
+  const rules = Object.entries(POLICY_RULES).map(([rule, def]) => {
+    const limit = policy.thresholds[def.setting];
+    const actual = counts[rule] ?? 0;
+    return { rule, label: def.label, limit, actual, passed: limit === null || actual <= limit, exitCode: def.exitCode };
+  });
+  const breaches = rules.filter((r) => !r.passed);
+  return { passed: breaches.length === 0, exitCode: breaches[0]?.exitCode ?? 0, rules, breaches };
+}
@@ -0,0 +1,42 @@
+// pricing.mjs - Per-brand selling prices from the master sheet's base prices
+//
+// Base prices never leave the build: data.json and the shared index carry no
+// prices at all, and each brand with a markup gets its own catalog view whose
+// products carry that brand's selling price only.
+
+/**
+ * Selling price for one brand.
+ * @param {number} base - Base price from the master sheet
+ * @param {{ markup: number, rounding?: number }} pricing - Markup in percent;
+ *   rounding is the step prices are rounded up to (empty = cents)
+ * @returns {number}
+ */
+export function sellingPrice(base, { markup, rounding }) {
+  const raw = base * (1 + markup / 100);
+  if (!rounding || rounding <= 0) return Math.round(raw * 100) / 100;
+  // Tolerance keeps 1.1 * 100 (= 110.00000000000001) from rounding up a step
+  const steps = Math.ceil(raw / rounding - 1e-9);
+  const decimals = (String(rounding).split(".")[1] || "").length;
+  return Number((steps * rounding).toFixed(decimals));
+}
+
+/**
+ * Copy of a catalog whose products carry a `price`.
+ * @param {object} catalog - { tree, ... }
+ * @param {(path: string) => number|null} priceOf - Selling price for a product's tree path
+ * @returns {{ catalog: object, priced: number }}
+ */
+export function priceCatalog(catalog, priceOf) {
+  let priced = 0;
+  const copy = (node, prefix) => Object.fromEntries(Object.entries(node).map(([key, item]) => {
+    const here = prefix ? `${prefix}/${key}` : key;
+    if (item.isProduct) {
+      const price = priceOf(here);
+      if (price === null) return [key, item];
+      priced++;
+      return [key, { ...item, price }];
+    }
+    return [key, item.children ? { ...item, children: copy(item.children, here) } : item];
+  }));
+  return { catalog: { ...catalog, tree: copy(catalog.tree, "") }, priced };
+}
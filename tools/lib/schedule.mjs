@@ -0,0 +1,98 @@
+// schedule.mjs - Which master rows are published: Status and publishing windows
+//
+// A row is live from PublishFrom until PublishUntil; an empty cell leaves that
+// end open. Rows outside their window or with Status Hidden, and every row
+// under a folder row that is, stay out of the build as if they were not in the sheet, so counts,
+// sections, entry pages and the sitemap only ever see live items (and a drop
+// is not readable in data.json before it launches).
+//
+// The site is static: a scheduled row goes live with the first build after
+// its PublishFrom (the deploy workflow rebuilds hourly), so the report names
+// the next time a rebuild would change what is published.
+
+import { MASTER_COLUMNS, readColumn } from "../../public/catalog-schema.js";
+import { rowLocation } from "./csv.mjs";
+
+/**
+ * Split master rows into published and left-out ones.
+ * @param {object[]} rows - Parsed master CSV rows
+ * @param {object} context
+ * @param {string} context.buildTime - ISO time the windows are checked against
+ * @param {Function} context.pathOf - row → catalog path
+ * @param {Function} context.warn - (row, column, message)
+ * @returns {{ live: object[], upcoming: object[], expired: object[], hidden: object[],
+ *   nextChange: string|null }}
+ *   live keeps sheet order; upcoming/expired list the rows outside their window
+ *   as { path, publishFrom, publishUntil, hiddenRows, source, row } and hidden
+ *   the rows with Status Hidden as { path, hiddenRows, source, row }, where
+ *   hiddenRows counts the row and the rows under it (rows under a folder that
+ *   is out already count towards the folder); nextChange is the earliest
+ *   window edge after buildTime
+ */
+export function applySchedule(rows, { buildTime, pathOf, warn }) {
+  const now = Date.parse(buildTime);
+  const upcoming = [];
+  const expired = [];
+  const hidden = [];
+  // path → entry of a row left out
+  const closed = new Map();
+  const edges = [];
+
+  for (const row of rows) {
+    const path = pathOf(row);
+    if (!path) continue;
+    const status = readColumn(row, MASTER_COLUMNS.status);
+    if (status.value === "Hidden") {
+      const entry = { path, hiddenRows: 0, ...rowLocation(row, status.header) };
+      hidden.push(entry);
+      closed.set(path, entry);
+      continue;
+    }
+
+    const from = readColumn(row, MASTER_COLUMNS.publishFrom);
+    const until = readColumn(row, MASTER_COLUMNS.publishUntil);
+    if (!from.raw && !until.raw) continue;
+
+    // A typo must not launch a drop early, but should not take a live item down either
+    if (from.error) warn(row, from.header, `Invalid PublishFrom "${from.raw}" for ${path} (${from.error}) → left out until fixed`);
+    if (until.error) warn(row, until.header, `Invalid PublishUntil "${until.raw}" for ${path} (${until.error}) → ignored`);
+    if (from.value && until.value && until.value <= from.value) {
+      warn(row, until.header, `PublishUntil ${until.raw} is not after PublishFrom ${from.raw} for ${path} → never published`);
+    }
+
+    const entry = { path, publishFrom: from.value || null, publishUntil: until.value || null, hiddenRows: 0, ...rowLocation(row, from.header) };
+    if (from.error || (from.value && Date.parse(from.value) > now)) {
+      upcoming.push(entry);
+      closed.set(path, entry);
+    } else if (until.value && Date.parse(until.value) <= now) {
+      expired.push(entry);
+      closed.set(path, entry);
+    }
+    for (const edge of [from.value, until.value]) {
+      if (edge && Date.parse(edge) > now) edges.push(edge);
+    }
+  }
+
+  const live = closed.size
+    ? rows.filter((row) => {
+        const segs = pathOf(row).split("/");
+        for (let depth = 1; depth <= segs.length; depth++) {
+          const entry = closed.get(segs.slice(0, depth).join("/"));
+          if (entry) {
+            entry.hiddenRows++;
+            return false;
+          }
+        }
+        return true;
+      })
+    : rows;
+
+  const byDate = (key) => (a, b) => (a[key] || "").localeCompare(b[key] || "");
+  return {
+    live,
+    upcoming: upcoming.filter((e) => e.hiddenRows).sort(byDate("publishFrom")),
+    expired: expired.filter((e) => e.hiddenRows).sort(byDate("publishUntil")),
+    hidden: hidden.filter((e) => e.hiddenRows),
+    nextChange: edges.sort()[0] || null,
+  };
+}
@@ -0,0 +1,137 @@
+// sections.mjs - Per-brand homepage sections from the optional sections sheet
+//
+// One row per brand × section; a row with an empty brand (or *) covers every
+// brand without a row of its own for that section. A brand with any row gets
+// `sections` in data.json: its configured sections by Order, then the
+// sections of its catalog the sheet does not mention, in the default order
+// (see orderSections() in catalog-schema.js). Hidden sections, and sections
+// without any item in the brand's catalog, are left out.
+// Products and All sections list the tree paths of their items, so the SPA
+// only loads the shards those items live in.
+
+import { SECTION_COLUMNS, readColumn, orderSections } from "../../public/catalog-schema.js";
+
+// Every Section value in the tree, at any depth
+function sectionValues(tree, found = new Set()) {
+  for (const node of Object.values(tree)) {
+    if (node.section) found.add(node.section);
+    if (!node.isProduct && node.children) sectionValues(node.children, found);
+  }
+  return found;
+}
+
+/**
+ * Read the sections sheet.
+ * @param {object[]} rows - Parsed sections CSV rows
+ * @param {object} context
+ * @param {string[]} context.brands - Brand slugs
+ * @param {object} context.tree - Built catalog tree, to check Section values against
+ * @param {Function} context.warn - (row, column, message)
+ * @returns {Map<string, object[]>} brand slug → configured sections in Order;
+ *   brands without any row are absent
+ */
+export function readSections(rows, { brands, tree, warn }) {
+  const shared = new Map();
+  const own = new Map();
+  const known = sectionValues(tree);
+
+  rows.forEach((row, index) => {
+    const read = (key) => {
+      const column = SECTION_COLUMNS[key];
+      const cell = readColumn(row, column);
+      if (cell.error) {
+        warn(row, cell.header, `Sections: invalid ${column.header} "${cell.raw}" (${cell.error}) → ${cell.value === "" ? "ignored" : `${cell.value} used`}`);
+      }
+      return cell.value;
+    };
+    const name = read("section");
+    const brandCell = readColumn(row, SECTION_COLUMNS.brand);
+    if (!name) {
+      if (brandCell.value) warn(row, readColumn(row, SECTION_COLUMNS.section).header, "Sections: row without a Section skipped");
+      return;
+    }
+
+    let slug = "";
+    if (brandCell.value && brandCell.value !== "*") {
+      slug = brands.find((s) => s.toLowerCase() === brandCell.value.toLowerCase());
+      if (!slug) {
+        warn(row, brandCell.header, `Sections: unknown brand "${brandCell.value}" → row ignored`);
+        return;
+      }
+    }
+
+    if (!known.has(name)) {
+      const near = [...known].find((s) => s.toLowerCase() === name.toLowerCase());
+      warn(row, readColumn(row, SECTION_COLUMNS.section).header,
+        `Sections: no catalog entry has Section "${name}"${near ? ` (did you mean "${near}"?)` : ""}`);
+    }
+
+    let limit = read("limit");
+    if (limit !== "" && limit < 1) {
+      warn(row, readColumn(row, SECTION_COLUMNS.limit).header, `Sections: Limit ${limit} for "${name}" is below 1 → ignored`);
+      limit = "";
+    }
+
+    const bucket = slug ? (own.get(slug) || own.set(slug, new Map()).get(slug)) : shared;
+    if (bucket.has(name)) {
+      warn(row, readColumn(row, SECTION_COLUMNS.section).header, `Sections: duplicate row for "${name}"${slug ? ` (${slug})` : ""} ignored`);
+      return;
+    }
+    bucket.set(name, {
+      name,
+      title: read("title"),
+      subtitle: read("subtitle"),
+      order: read("order"),
+      visible: read("visible"),
+      items: read("items"),
+      limit,
+      index,
+    });
+  });
+
+  const bySlug = new Map();
+  for (const slug of brands) {
+    const merged = new Map([...shared, ...(own.get(slug) || [])]);
+    if (!merged.size) continue;
+    bySlug.set(slug, [...merged.values()].sort((a, b) => a.order - b.order || a.index - b.index));
+  }
+  return bySlug;
+}
+
+// Tree-key paths of the nodes with a Section value, by TopOrder (ties keep tree order)
+function sectionPaths(tree, name, productsOnly, limit) {
+  const found = [];
+  const walk = (nodes, prefix) => {
+    for (const [key, node] of Object.entries(nodes)) {
+      const keys = [...prefix, key];
+      if (node.section === name && (node.isProduct || !productsOnly)) found.push({ keys, topOrder: node.topOrder ?? 999 });
+      if (!node.isProduct && node.children) walk(node.children, keys);
+    }
+  };
+  walk(tree, []);
+  found.sort((a, b) => a.topOrder - b.topOrder);
+  return found.slice(0, limit || found.length).map((f) => f.keys);
+}
+
+/**
+ * A brand's homepage sections for data.json.
+ * @param {object[]} configured - The brand's readSections() entry
+ * @param {object} catalog - The brand's catalog (scoped to its storefront)
+ * @returns {object[]} { name, items, title?, subtitle?, limit?, paths? } in display order
+ */
+export function brandSections(configured, catalog) {
+  const present = catalog.sections || [];
+  const listed = new Set(configured.map((c) => c.name));
+  const rest = orderSections(present)
+    .filter((name) => !listed.has(name))
+    .map((name) => ({ name, items: "Categories", visible: true }));
+
+  return [...configured, ...rest].filter((c) => c.visible).map((c) => {
+    const section = { name: c.name, items: c.items };
+    if (c.title) section.title = c.title;
+    if (c.subtitle) section.subtitle = c.subtitle;
+    if (c.limit) section.limit = c.limit;
+    if (c.items !== "Categories") section.paths = sectionPaths(catalog.tree, c.name, c.items === "Products", c.limit);
+    return section;
+  }).filter((section) => (section.paths ? section.paths.length > 0 : present.includes(section.name)));
+}
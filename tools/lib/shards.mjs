@@ -0,0 +1,52 @@
+// shards.mjs - Split a built catalog into a small index plus per-category shards
+//
+// The index carries brands, meta and the top two levels of the tree (categories
+// and their direct children, without grandchildren) so the homepage and brand
+// list render from it alone. Each top-level category's full subtree goes into
+// its own shard named after the content hash, so shards can be cached forever
+// and only the index needs revalidating.
+
+import crypto from "node:crypto";
+
+export const SHARD_DIR = "catalog";
+
+// Node without its children (products are returned as-is)
+function stub(node) {
+  if (node.isProduct) return node;
+  const { children, ...rest } = node;
+  return rest;
+}
+
+/**
+ * Split catalog data (data.json shape) into an index and shards.
+ * @param {object} data - { brands, catalog: { tree, ... }, meta }
+ * @returns {{ index: object, shards: { file: string, text: string, key: string }[] }}
+ *   file is relative to public/ ("catalog/bags.3f9a1c2b7d.json")
+ */
+export function shardCatalog(data) {
+  const shards = [];
+  const tree = {};
+
+  for (const [key, node] of Object.entries(data.catalog.tree)) {
+    if (node.isProduct || !node.children) {
+      tree[key] = node;
+      continue;
+    }
+    const text = JSON.stringify({ key, children: node.children });
+    const hash = crypto.createHash("sha256").update(text, "utf8").digest("hex").slice(0, 10);
+    const file = `${SHARD_DIR}/${node.slug || "category"}.${hash}.json`;
+    shards.push({ file, text, key });
+
+    tree[key] = {
+      ...stub(node),
+      shard: file,
+      children: Object.fromEntries(Object.entries(node.children).map(([k, child]) => [k, stub(child)])),
+    };
+  }
+
+  const index = {
+    ...data,
+    catalog: { ...data.catalog, tree },
+  };
+  return { index, shards };
+}
@@ -0,0 +1,194 @@
+// thumbs.mjs - Index of the public/thumbs mirror and catalog path matching
+//
+// Thumbnail folders were exported from product names, so they differ from the
+// sheet's RelativePath in predictable ways: spaces and punctuation became
+// dashes ("Hermès Kelly bag" → "Hermès-Kelly-bag") and some exports dropped
+// accented letters entirely ("Métis" → "Mtis"). Segments are compared under
+// both foldings so either spelling matches.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const IMAGE_EXT = /\.(webp|avif|jpe?g|png|gif)$/i;
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+/** Natural sort order: "image (2)" before "image (10)". */
+export const naturalCompare = (a, b) => collator.compare(a, b);
+
+const dashed = (s) => s.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+
+/**
+ * Comparison keys for one path segment: accents folded ("hermes") and
+ * non-ASCII letters dropped ("herms").
+ * @param {string} segment
+ * @returns {string[]}
+ */
+export function segmentKeys(segment) {
+  const folded = dashed(segment.normalize("NFD").replace(/\p{M}/gu, ""));
+  const dropped = dashed(segment.normalize("NFC").replace(/[^\x00-\x7F]/g, ""));
+  return folded === dropped ? [folded] : [folded, dropped];
+}
+
+/**
+ * Recursively list the image files under a thumbs directory.
+ * @param {string} thumbsDir - Absolute path of public/thumbs
+ * @returns {Promise<{ files: string[], root: object }>} files are posix paths
+ *   relative to thumbsDir; root is a folder trie used by resolveFolder()
+ */
+export async function scanThumbs(thumbsDir) {
+  const files = [];
+  const root = { name: "", children: new Map(), images: [] };
+
+  const walk = async (dir, node, rel) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+    for (const entry of entries.sort((a, b) => naturalCompare(a.name, b.name))) {
+      const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        const child = { name: entry.name, keys: segmentKeys(entry.name), children: new Map(), images: [] };
+        node.children.set(entry.name, child);
+        await walk(path.join(dir, entry.name), child, relPath);
+      } else if (IMAGE_EXT.test(entry.name)) {
+        node.images.push(entry.name);
+        files.push(relPath);
+      }
+    }
+  };
+
+  await walk(thumbsDir, root, "");
+  return { files, root };
+}
+
+function matchChild(node, segment) {
+  if (node.children.has(segment)) return node.children.get(segment);
+  const wanted = new Set(segmentKeys(segment));
+  for (const child of node.children.values()) {
+    if (child.keys.some((k) => wanted.has(k))) return child;
+  }
+  return null;
+}
+
+/**
+ * Find the thumbs folder mirroring a catalog path.
+ * @param {object} index - Result of scanThumbs()
+ * @param {string} relPath - Catalog RelativePath ("BAGS/Hermes/Kelly/Hermès Kelly bag")
+ * @returns {{ node: object, segments: string[] }|null} segments are the real folder names
+ */
+export function resolveFolder(index, relPath) {
+  let node = index.root;
+  const segments = [];
+  for (const seg of relPath.split("/").filter(Boolean)) {
+    node = matchChild(node, seg);
+    if (!node) return null;
+    segments.push(node.name);
+  }
+  return { node, segments };
+}
+
+const stemMatches = (img, keys) => segmentKeys(img.replace(IMAGE_EXT, "")).some((k) => keys.has(k));
+
+// Images of a folder that are not named after one of its subfolders
+// ("Bags/Gucci.webp" is Gucci's thumbnail, not Bags')
+function ownImages(node) {
+  const childKeys = new Set([...node.children.values()].flatMap((c) => c.keys));
+  return node.images.filter((img) => !stemMatches(img, childKeys));
+}
+
+/**
+ * Pick the thumbnail for a catalog path: the first image (natural order) in
+ * its mirrored folder, else an image beside the folder named like it
+ * ("Bags/Gucci.webp" for "Bags/Gucci").
+ * @param {object} index - Result of scanThumbs()
+ * @param {string} relPath - Catalog RelativePath
+ * @returns {string} Path relative to the thumbs dir, or "" when nothing matches
+ */
+export function findThumb(index, relPath) {
+  const found = resolveFolder(index, relPath);
+  const own = found ? ownImages(found.node) : [];
+  if (own.length) return [...found.segments, own[0]].join("/");
+
+  const segs = relPath.split("/").filter(Boolean);
+  const parent = segs.length > 1 ? resolveFolder(index, segs.slice(0, -1).join("/")) : { node: index.root, segments: [] };
+  if (!parent) return "";
+  const wanted = new Set(segmentKeys(segs[segs.length - 1] || ""));
+  const sibling = parent.node.images.find((img) => stemMatches(img, wanted));
+  return sibling ? [...parent.segments, sibling].join("/") : "";
+}
+
+/**
+ * Levenshtein distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Smallest distance between any folding of two names
+function keyDistance(aKeys, bKeys) {
+  let best = Infinity;
+  for (const a of aKeys) for (const b of bKeys) best = Math.min(best, editDistance(a, b));
+  return best;
+}
+
+// Closest candidate within a quarter of the name's length (at least 2 edits)
+function closest(candidates, name, keysOf) {
+  const wanted = segmentKeys(name);
+  const limit = Math.max(2, Math.floor(wanted[0].length / 4));
+  let best = null;
+  for (const c of candidates) {
+    const distance = keyDistance(wanted, keysOf(c));
+    if (distance <= limit && (!best || distance < best.distance)) best = { item: c, distance };
+  }
+  return best;
+}
+
+/**
+ * Suggest an existing file for a thumbnail path that does not exist. Walks the
+ * folder trie one segment at a time, taking the nearest folder name under
+ * accent folding and edit distance, then the nearest image name; when no image
+ * name is close, the folder's first image is suggested instead.
+ * @param {object} index - Result of scanThumbs()
+ * @param {string} thumbPath - Broken path relative to the thumbs dir
+ * @returns {{ path: string, distance: number, byName: boolean }|null}
+ */
+export function suggestThumb(index, thumbPath) {
+  const segs = thumbPath.normalize("NFC").replace(/\\/g, "/").split("/").filter(Boolean);
+  const file = segs.pop();
+  if (!file) return null;
+
+  let node = index.root;
+  let distance = 0;
+  const segments = [];
+  for (const seg of segs) {
+    const exact = matchChild(node, seg);
+    const match = exact ? { item: exact, distance: 0 } : closest(node.children.values(), seg, (c) => c.keys);
+    if (!match) return null;
+    node = match.item;
+    distance += match.distance;
+    segments.push(node.name);
+  }
+
+  const stem = file.replace(IMAGE_EXT, "");
+  const image = closest(node.images, stem, (img) => segmentKeys(img.replace(IMAGE_EXT, "")));
+  if (image) return { path: [...segments, image.item].join("/"), distance: distance + image.distance, byName: true };
+
+  const own = ownImages(node);
+  return own.length ? { path: [...segments, own[0]].join("/"), distance, byName: false } : null;
+}
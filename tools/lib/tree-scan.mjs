@@ -0,0 +1,121 @@
+// tree-scan.mjs - Master sheet rows from a local folder tree of product photos
+//
+// The photo library is laid out like public/thumbs:
+// Category/Designer/Line/Product/image.webp. Every folder with images at or
+// below it becomes a row; folders without subfolders are products. Rows of a
+// previous master CSV are matched by RelativePath, segment by segment, under
+// the same accent and dash folding the thumbnail resolver uses ("Hermès Kelly
+// bag" matches the folder "Hermes-Kelly-bag"), and keep everything the sheet
+// already says about them: its spelling of Name and RelativePath, TopOrder,
+// Section, Drive Link, image config, IDs and product details. The build only
+// treats rows with a Drive Link as products, so new product folders show up as
+// (empty) folders until someone adds their link.
+
+import { findThumb, segmentKeys } from "./thumbs.mjs";
+import { MASTER_COLUMNS, columnNames } from "../../public/catalog-schema.js";
+
+// Columns of a master CSV written from scratch
+const DEFAULT_COLUMNS = ["name", "relativePath", "section", "topOrder", "thumbnail", "driveLink", "alignment", "fitting", "scaling"];
+
+const splitPath = (p) => String(p || "").normalize("NFC").replace(/\\/g, "/").split("/").map((s) => s.trim()).filter(Boolean);
+const pathKey = (segs) => segs.map((s) => segmentKeys(s)[0]).join("/");
+const thumbKey = (p) => splitPath(p).join("/").replace(/^thumbs\//i, "");
+const normalizeHeader = (h) => String(h).toLowerCase().replace(/[\s_\-]+/g, "");
+
+// Header a CSV uses for a column (canonical header or any alias)
+function headerFor(headers, column) {
+  const wanted = new Set(columnNames(column).map(normalizeHeader));
+  return headers.find((h) => wanted.has(normalizeHeader(h)));
+}
+
+const hasImages = (node) => node.images.length > 0 || [...node.children.values()].some(hasImages);
+
+/**
+ * Master CSV rows for a scanned photo tree.
+ * @param {object} index - scanThumbs(dir) of the photo tree
+ * @param {{ headers: string[], rows: object[] }|null} [previous] - parseCSV() of the current master CSV
+ * @returns {{ headers: string[], rows: object[], matched: number,
+ *   onlyOnDisk: string[], onlyInCsv: object[], empty: string[], unlinked: string[] }}
+ *   onlyOnDisk are folder paths that got a new row; onlyInCsv are previous rows
+ *   with no folder (kept at the end of rows); empty are folders without images;
+ *   unlinked are product folders whose row has no Drive Link
+ */
+export function scanMaster(index, previous = null) {
+  const headers = previous?.headers?.length
+    ? [...previous.headers]
+    : DEFAULT_COLUMNS.map((key) => MASTER_COLUMNS[key].header);
+  for (const key of ["name", "relativePath", "thumbnail"]) {
+    if (!headerFor(headers, MASTER_COLUMNS[key])) headers.push(MASTER_COLUMNS[key].header);
+  }
+  const col = {
+    name: headerFor(headers, MASTER_COLUMNS.name),
+    relativePath: headerFor(headers, MASTER_COLUMNS.relativePath),
+    thumbnail: headerFor(headers, MASTER_COLUMNS.thumbnail),
+    driveLink: headerFor(headers, MASTER_COLUMNS.driveLink),
+  };
+
+  // Previous rows by folded path; an exact spelling wins over a folded match
+  const byKey = new Map();
+  for (const row of previous?.rows || []) {
+    const segs = splitPath(row[col.relativePath]);
+    if (!segs.length) continue;
+    const key = pathKey(segs);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(row);
+  }
+  const used = new Set();
+  const claim = (segs) => {
+    const candidates = (byKey.get(pathKey(segs)) || []).filter((r) => !used.has(r));
+    const exact = segs.join("/").toLowerCase();
+    const row = candidates.find((r) => splitPath(r[col.relativePath]).join("/").toLowerCase() === exact) || candidates[0];
+    if (row) used.add(row);
+    return row;
+  };
+
+  const files = new Set(index.files.map((f) => f.normalize("NFC")));
+  const rows = [];
+  const onlyOnDisk = [];
+  const empty = [];
+  const unlinked = [];
+  let matched = 0;
+
+  // diskSegs are real folder names; sheetSegs the sheet's spelling of the same path
+  const walk = (node, diskSegs, sheetSegs) => {
+    for (const child of node.children.values()) {
+      if (child.name.startsWith(".")) continue;
+      const disk = [...diskSegs, child.name];
+      if (!hasImages(child)) {
+        empty.push(disk.join("/"));
+        continue;
+      }
+
+      const thumb = findThumb(index, disk.join("/"));
+      const prev = claim([...sheetSegs, child.name]);
+      let row;
+      if (prev) {
+        matched++;
+        // An existing thumbnail choice stands as long as the file is still there
+        const keepThumb = prev[col.thumbnail] && files.has(thumbKey(prev[col.thumbnail]));
+        row = { ...prev, [col.thumbnail]: keepThumb ? prev[col.thumbnail] : thumb };
+      } else {
+        row = Object.fromEntries(headers.map((h) => [h, ""]));
+        Object.assign(row, {
+          [col.name]: child.name,
+          [col.relativePath]: [...sheetSegs, child.name].join("/"),
+          [col.thumbnail]: thumb,
+        });
+        onlyOnDisk.push(disk.join("/"));
+      }
+      rows.push(row);
+      const isProduct = ![...child.children.values()].some(hasImages);
+      if (isProduct && !(col.driveLink && row[col.driveLink])) unlinked.push(disk.join("/"));
+      walk(child, disk, splitPath(row[col.relativePath]));
+    }
+  };
+  walk(index.root, [], []);
+
+  const onlyInCsv = (previous?.rows || []).filter((r) => !used.has(r) && splitPath(r[col.relativePath]).length);
+  rows.push(...onlyInCsv);
+
+  return { headers, rows, matched, onlyOnDisk, onlyInCsv, empty, unlinked };
+}
@@ -0,0 +1,102 @@
+// scan-tree.mjs - Write a master CSV from a local folder tree of product photos
+//
+//   npm run scan -- <photos dir> [--previous master.csv] [--out build/master.scanned.csv]
+//
+// Walks a tree shaped like public/thumbs (Category/Designer/Line/Product/image.webp,
+// the default when no directory is given) and writes one row per folder with
+// Name, RelativePath and Thumbs Path. With --previous (or MASTER_CSV_PATH) the
+// rows of the current sheet are carried over for matching paths, and rows that
+// exist only in the CSV or only on disk are listed so they can be checked
+// before the result is pasted into the sheet.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseCSV, stringifyCSV, rowLocation, csvWarning, formatWarning } from "./lib/csv.mjs";
+import { scanThumbs } from "./lib/thumbs.mjs";
+import { scanMaster } from "./lib/tree-scan.mjs";
+import { MASTER_COLUMNS, readColumn } from "../public/catalog-schema.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, "..");
+
+function argValue(name) {
+  const args = process.argv.slice(2);
+  const i = args.findIndex((a) => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (i === -1) return "";
+  return args[i].includes("=") ? args[i].split("=").slice(1).join("=") : (args[i + 1] || "");
+}
+
+// First argument that is neither a flag nor a flag's value
+function positional() {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) {
+      if (!args[i].includes("=")) i++;
+      continue;
+    }
+    return args[i];
+  }
+  return "";
+}
+
+const PHOTOS_DIR = path.resolve(positional() || path.join(ROOT, "public", "thumbs"));
+const PREVIOUS_CSV = argValue("previous") || process.env.MASTER_CSV_PATH || "";
+const OUTPUT = path.resolve(argValue("out") || path.join(ROOT, "build", "master.scanned.csv"));
+
+// Paths inside the repo are shown relative to it
+const display = (p) => (p.startsWith(ROOT + path.sep) ? path.relative(ROOT, p) : p);
+
+(async () => {
+  console.log(`📂 Scanning ${PHOTOS_DIR}...`);
+  const stat = await fs.stat(PHOTOS_DIR).catch(() => null);
+  if (!stat?.isDirectory()) {
+    console.error(`❌ ${PHOTOS_DIR} is not a directory`);
+    process.exit(1);
+  }
+  const index = await scanThumbs(PHOTOS_DIR);
+  console.log(`🖼️  ${index.files.length} image(s) found`);
+
+  let previous = null;
+  if (PREVIOUS_CSV) {
+    const name = path.basename(PREVIOUS_CSV);
+    previous = parseCSV(await fs.readFile(path.resolve(PREVIOUS_CSV), "utf8"), name);
+    previous.warnings.forEach((w) => console.log(`  ⚠️  ${formatWarning(w)}`));
+    console.log(`📥 ${previous.rows.length} row(s) in ${PREVIOUS_CSV}`);
+  }
+
+  const { headers, rows, matched, onlyOnDisk, onlyInCsv, empty, unlinked } = scanMaster(index, previous);
+
+  await fs.mkdir(path.dirname(OUTPUT), { recursive: true });
+  await fs.writeFile(OUTPUT, stringifyCSV(headers, rows), "utf8");
+
+  const source = display(PHOTOS_DIR);
+  const findings = [
+    ...onlyInCsv.map((r) => {
+      const { source: file, row } = rowLocation(r);
+      const cell = readColumn(r, MASTER_COLUMNS.relativePath);
+      return csvWarning(file, row, cell.header, `Only in the CSV: no folder for "${cell.raw}" (row kept)`);
+    }),
+    ...(previous ? onlyOnDisk.map((p) => csvWarning(source, null, "", `Only on disk: "${p}" is new (row added)`)) : []),
+    ...empty.map((p) => csvWarning(source, null, "", `No images under "${p}" (skipped)`)),
+  ];
+
+  console.log("\n## 📂 Folder Tree Scan");
+  console.log(`- **Rows written:** ${rows.length} → ${display(OUTPUT)}`);
+  if (previous) {
+    console.log(`- **Matched CSV rows:** ${matched}`);
+    console.log(`- **Only on disk (added):** ${onlyOnDisk.length}`);
+    console.log(`- **Only in CSV (kept):** ${onlyInCsv.length}`);
+  } else {
+    console.log(`- **Folders:** ${onlyOnDisk.length} (no --previous CSV, so every row is new)`);
+  }
+  if (empty.length) console.log(`- **Folders without images (skipped):** ${empty.length}`);
+  if (unlinked.length) console.log(`- **Products without a Drive Link:** ${unlinked.length} (built as empty folders until one is added)`);
+
+  if (findings.length) {
+    console.log(`\n⚠️  ${findings.length} finding(s):`);
+    findings.forEach((f) => console.log(`  - ${formatWarning(f)}`));
+  }
+})().catch((err) => {
+  console.error("💥 Scan failed:", err);
+  process.exit(1);
+});